@@ -0,0 +1,85 @@
+// Real user monitoring for the spectrum-card block through EDS sampleRUM.
+// Checkpoints carry the card's path as source and its slide number as target,
+// so RUM data shows which cards are seen, opened and actually read. The collector
+// keeps only source and target, so the time spent on a slide is a checkpoint of
+// its own, with the milliseconds as target.
+import { sampleRUM } from './eds.js';
+
+export const RUM_CHECKPOINTS = {
+  IMPRESSION: 'viewcard',
+  CLICK: 'cardclick',
+  MODAL_OPEN: 'modalopen',
+  MODAL_CLOSE: 'modalclose',
+  MODAL_DWELL: 'modaldwell',
+  LOAD_ERROR: 'loaderror',
+};
+
+const IMPRESSION_CONFIG = {
+  // Share of the card that has to be visible to count as seen
+  THRESHOLD: 0.5,
+};
+
+// Send a checkpoint; target is left out when undefined
+export function trackCheckpoint(checkpoint, source, target) {
+  const data = { source };
+  if (target !== undefined) data.target = `${target}`;
+  sampleRUM(checkpoint, data);
+}
+
+// A content or index fetch that failed; slideNumber is left out for index failures
+export function trackLoadError(source, slideNumber) {
+  trackCheckpoint(RUM_CHECKPOINTS.LOAD_ERROR, source, slideNumber);
+}
+
+// Time spent on a slide in the modal, reported in milliseconds when the slide is left
+export function createDwellTracker() {
+  let current = null;
+
+  const end = () => {
+    if (!current) return;
+    trackCheckpoint(RUM_CHECKPOINTS.MODAL_CLOSE, current.path, current.slideNumber);
+    trackCheckpoint(RUM_CHECKPOINTS.MODAL_DWELL, current.path, Math.round(performance.now() - current.openedAt));
+    current = null;
+  };
+
+  const start = (path, slideNumber) => {
+    end();
+    current = { path, slideNumber, openedAt: performance.now() };
+    trackCheckpoint(RUM_CHECKPOINTS.MODAL_OPEN, path, slideNumber);
+  };
+
+  return { start, end };
+}
+
+// Report each card once per page view, the first time enough of it is visible.
+// observe(card, path, slideNumber) starts watching a card; disconnect() stops watching all of them.
+export function createImpressionTracker() {
+  const seen = new Set();
+  const targets = new WeakMap();
+
+  const observer = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        observer.unobserve(entry.target);
+        const { path, slideNumber } = targets.get(entry.target);
+        // Re-rendered cards for a path already reported are not counted again
+        if (seen.has(path)) return;
+        seen.add(path);
+        trackCheckpoint(RUM_CHECKPOINTS.IMPRESSION, path, slideNumber);
+      });
+    }, { threshold: IMPRESSION_CONFIG.THRESHOLD })
+    : null;
+
+  const observe = (card, path, slideNumber) => {
+    if (!observer || !path || seen.has(path)) return;
+    targets.set(card, { path, slideNumber });
+    observer.observe(card);
+  };
+
+  const disconnect = () => {
+    if (observer) observer.disconnect();
+  };
+
+  return { observe, disconnect };
+}
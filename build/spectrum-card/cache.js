@@ -0,0 +1,174 @@
+// Stale-while-revalidate cache for the spectrum-card block's fetches.
+// Responses are kept in sessionStorage together with their validators. A cached
+// copy is served straight away and, once older than its TTL, revalidated in the
+// background with a conditional request. Requests time out and are retried with
+// exponential backoff, and failures are reported as the typed errors in errors.js.
+import {
+  HttpError,
+  NetworkError,
+  TimeoutError,
+} from './errors.js';
+
+const CACHE_CONFIG = {
+  KEY_PREFIX: 'spectrum-card:cache:',
+  // Seconds a cached response stays fresh when neither the block nor Cache-Control says otherwise
+  DEFAULT_TTL: 300,
+  // Milliseconds before a request is aborted
+  TIMEOUT: 10000,
+  // Retries after the first attempt, waiting RETRY_DELAY, then twice that, and so on
+  MAX_RETRIES: 2,
+  RETRY_DELAY: 500,
+  MAX_RETRY_DELAY: 4000,
+};
+
+function readEntry(url) {
+  try {
+    const stored = sessionStorage.getItem(`${CACHE_CONFIG.KEY_PREFIX}${url}`);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeEntry(url, entry) {
+  try {
+    sessionStorage.setItem(`${CACHE_CONFIG.KEY_PREFIX}${url}`, JSON.stringify(entry));
+  } catch (error) {
+    // Storage full or unavailable: carry on without caching this response
+    // eslint-disable-next-line no-console
+    console.debug('[spectrum-card] could not cache response for:', url, error);
+  }
+}
+
+// Drop a cached response, e.g. one that turned out not to be valid JSON
+export function evictEntry(url) {
+  try {
+    sessionStorage.removeItem(`${CACHE_CONFIG.KEY_PREFIX}${url}`);
+  } catch (error) {
+    // Storage unavailable: nothing was cached
+  }
+}
+
+// Drop every cached response whose URL starts with urlPrefix, e.g. all pages of an index
+export function evictEntries(urlPrefix) {
+  try {
+    Object.keys(sessionStorage)
+      .filter((key) => key.startsWith(`${CACHE_CONFIG.KEY_PREFIX}${urlPrefix}`))
+      .forEach((key) => sessionStorage.removeItem(key));
+  } catch (error) {
+    // Storage unavailable: nothing was cached
+  }
+}
+
+// max-age from the response's Cache-Control header, in seconds
+function getMaxAge(response) {
+  const match = (response.headers.get('Cache-Control') || '').match(/max-age=(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Fetch url, conditionally when there is a cached entry to validate, and store the result
+async function request(url, accept, cached) {
+  const headers = { 'Accept': accept };
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  // The timeout covers the body as well as the headers, so a response that
+  // stalls part way through still fails
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CACHE_CONFIG.TIMEOUT);
+  const toRequestError = (error) => (controller.signal.aborted
+    ? new TimeoutError(url, CACHE_CONFIG.TIMEOUT)
+    : new NetworkError(url, { cause: error }));
+  try {
+    let response;
+    try {
+      response = await fetch(url, { mode: 'cors', headers, signal: controller.signal });
+    } catch (error) {
+      throw toRequestError(error);
+    }
+
+    if (response.status === 304 && cached) {
+      const entry = { ...cached, storedAt: Date.now() };
+      writeEntry(url, entry);
+      return entry;
+    }
+    if (!response.ok) {
+      throw new HttpError(url, response.status);
+    }
+
+    let body;
+    try {
+      body = await response.text();
+    } catch (error) {
+      throw toRequestError(error);
+    }
+    const entry = {
+      body,
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+      maxAge: getMaxAge(response),
+      storedAt: Date.now(),
+    };
+    writeEntry(url, entry);
+    return entry;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+// request(), retried with exponential backoff while the failure is retryable.
+// There is no point retrying while the browser knows it is offline.
+async function requestWithRetry(url, accept, cached, attempt = 0) {
+  try {
+    return await request(url, accept, cached);
+  } catch (error) {
+    if (!error.retryable || attempt >= CACHE_CONFIG.MAX_RETRIES || !navigator.onLine) throw error;
+    const delay = Math.min(CACHE_CONFIG.RETRY_DELAY * 2 ** attempt, CACHE_CONFIG.MAX_RETRY_DELAY);
+    // eslint-disable-next-line no-console
+    console.debug('[spectrum-card] retrying in', delay, 'ms:', url, error);
+    await wait(delay);
+    return requestWithRetry(url, accept, cached, attempt + 1);
+  }
+}
+
+// Requests still in flight, so a prefetch and the fetch it anticipated share one response
+const inFlight = new Map();
+
+function requestOnce(url, accept, cached) {
+  if (!inFlight.has(url)) {
+    inFlight.set(url, requestWithRetry(url, accept, cached).finally(() => inFlight.delete(url)));
+  }
+  return inFlight.get(url);
+}
+
+// Fetch url as text through the cache. options.accept is the Accept header;
+// options.ttl (seconds) overrides how long a cached copy stays fresh, and
+// options.onUpdate(body) is called when a background revalidation finds the
+// content has changed since it was cached.
+export async function cachedFetch(url, options = {}) {
+  const cached = readEntry(url);
+  if (!cached) {
+    return (await requestOnce(url, options.accept, null)).body;
+  }
+
+  // A TTL of 0 is valid and means "always revalidate"
+  const ttl = [options.ttl, cached.maxAge, CACHE_CONFIG.DEFAULT_TTL].find((value) => Number.isFinite(value));
+  if (Date.now() - cached.storedAt >= ttl * 1000) {
+    requestOnce(url, options.accept, cached)
+      .then((entry) => {
+        if (entry.body !== cached.body && options.onUpdate) options.onUpdate(entry.body);
+      })
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.debug('[spectrum-card] background revalidation failed for:', url, error);
+      });
+  }
+
+  // eslint-disable-next-line no-console
+  console.debug('[spectrum-card] served from cache:', url);
+  return cached.body;
+}
@@ -0,0 +1,179 @@
+// Card selection and the side-by-side comparison for the spectrum-card block
+import '@spectrum-web-components/button/sp-button.js';
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-close.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-compare.js';
+import { toColumnLabel } from './facets.js';
+import { getSlotColumn, mapCardFields } from './fields.js';
+import { t } from './i18n.js';
+import { CARD_IMAGE_BREAKPOINTS, createCardPicture } from './images.js';
+import { createThemeWrapper } from './theme.js';
+
+export const COMPARE_CONFIG = {
+  // Fewer makes nothing to compare; more no longer fits side by side
+  MIN_ROWS: 2,
+  MAX_ROWS: 4,
+};
+
+// Slots shown in the comparison's column headers rather than as rows of their own;
+// the button text has no meaning outside the card
+const HEADER_SLOTS = ['heading', 'preview', 'cta'];
+
+// Sticky bar with the selection count, Compare and Clear.
+// update(count, { limitReached }) keeps it in step with the selection; it hides at zero.
+export function createSelectionBar({ onCompare, onClear }) {
+  const bar = document.createElement('div');
+  bar.className = 'spectrum-card-selection-bar';
+  bar.setAttribute('role', 'region');
+  bar.setAttribute('aria-label', t('selectedCards'));
+  bar.hidden = true;
+
+  const status = document.createElement('span');
+  status.className = 'spectrum-card-selection-count';
+  status.setAttribute('aria-live', 'polite');
+
+  const clearButton = document.createElement('sp-button');
+  clearButton.setAttribute('variant', 'secondary');
+  clearButton.setAttribute('treatment', 'outline');
+  clearButton.setAttribute('size', 's');
+  clearButton.textContent = t('clearSelection');
+  clearButton.addEventListener('click', onClear);
+
+  const compareButton = document.createElement('sp-button');
+  compareButton.setAttribute('variant', 'accent');
+  compareButton.setAttribute('size', 's');
+  compareButton.textContent = t('compare');
+  const compareIcon = document.createElement('sp-icon-compare');
+  compareIcon.setAttribute('slot', 'icon');
+  compareButton.appendChild(compareIcon);
+  compareButton.addEventListener('click', () => onCompare(compareButton));
+
+  bar.append(status, clearButton, compareButton);
+
+  const update = (count, { limitReached = false } = {}) => {
+    bar.hidden = count === 0;
+    status.textContent = limitReached
+      ? t('selectionLimit', { max: COMPARE_CONFIG.MAX_ROWS })
+      : t('selectedCount', { count });
+    compareButton.disabled = count < COMPARE_CONFIG.MIN_ROWS;
+  };
+
+  return { bar, update };
+}
+
+// Header cell for one compared row: its picture, when mapped, over its heading
+function createColumnHeader(fields) {
+  const header = document.createElement('th');
+  header.setAttribute('scope', 'col');
+  if (fields.preview) {
+    const picture = createCardPicture(fields.preview, '', false, CARD_IMAGE_BREAKPOINTS.THUMBNAIL);
+    picture.className = 'spectrum-card-compare-picture';
+    header.appendChild(picture);
+  }
+  const heading = document.createElement('span');
+  heading.textContent = fields.heading || t('defaultTitle');
+  header.appendChild(heading);
+  return header;
+}
+
+// Table with one column per row and one row per mapped slot, labelled by the
+// query-index column the slot reads. Slots empty for every row are left out,
+// and rows whose values differ are marked so they stand out.
+function createComparisonTable(rows, mapping) {
+  const fieldsByRow = rows.map((row) => mapCardFields(row, mapping));
+
+  const table = document.createElement('table');
+  table.className = 'spectrum-card-compare-table';
+
+  const headRow = document.createElement('tr');
+  const corner = document.createElement('td');
+  headRow.appendChild(corner);
+  fieldsByRow.forEach((fields) => headRow.appendChild(createColumnHeader(fields)));
+  table.createTHead().appendChild(headRow);
+
+  const body = table.createTBody();
+  Object.keys(mapping)
+    .filter((slot) => !HEADER_SLOTS.includes(slot) && getSlotColumn(mapping, slot))
+    .forEach((slot) => {
+      const values = fieldsByRow.map((fields) => fields[slot]);
+      if (values.every((value) => !value)) return;
+
+      const tableRow = document.createElement('tr');
+      if (new Set(values).size > 1) tableRow.classList.add('spectrum-card-compare-differs');
+      const label = document.createElement('th');
+      label.setAttribute('scope', 'row');
+      label.textContent = toColumnLabel(getSlotColumn(mapping, slot));
+      tableRow.appendChild(label);
+      values.forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value || '—';
+        tableRow.appendChild(cell);
+      });
+      body.appendChild(tableRow);
+    });
+
+  return table;
+}
+
+// Show rows side by side in a dialog over the page, using the block's field mapping.
+// options.theme wraps the dialog in a matching sp-theme; options.onClose runs when it closes.
+export function showComparison(rows, mapping, options = {}) {
+  const overlay = document.createElement('div');
+  overlay.className = 'spectrum-card-compare-overlay';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'spectrum-card-compare';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', 'spectrum-card-compare-title');
+
+  const header = document.createElement('div');
+  header.className = 'spectrum-card-compare-header';
+  const title = document.createElement('h2');
+  title.id = 'spectrum-card-compare-title';
+  title.textContent = t('compareTitle', { count: rows.length });
+
+  const closeButton = document.createElement('sp-action-button');
+  closeButton.setAttribute('quiet', '');
+  closeButton.setAttribute('label', t('closeComparison'));
+  const closeIcon = document.createElement('sp-icon-close');
+  closeIcon.setAttribute('slot', 'icon');
+  closeButton.appendChild(closeIcon);
+  header.append(title, closeButton);
+
+  // Wide tables scroll sideways inside the dialog
+  const scroller = document.createElement('div');
+  scroller.className = 'spectrum-card-compare-scroller';
+  scroller.appendChild(createComparisonTable(rows, mapping));
+
+  dialog.append(header, scroller);
+  overlay.appendChild(dialog);
+
+  // Shown outside the block, so the theme has to be applied again here
+  const compareRoot = options.theme ? createThemeWrapper(options.theme) : overlay;
+  if (compareRoot !== overlay) compareRoot.appendChild(overlay);
+
+  const handleKeydown = (e) => {
+    if (e.key === 'Escape') close();
+  };
+
+  const close = () => {
+    if (!overlay.isConnected) return;
+    document.removeEventListener('keydown', handleKeydown);
+    compareRoot.remove();
+    document.body.style.overflow = '';
+    if (options.onClose) options.onClose();
+  };
+
+  closeButton.addEventListener('click', close);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+  document.addEventListener('keydown', handleKeydown);
+
+  document.body.appendChild(compareRoot);
+  document.body.style.overflow = 'hidden';
+  closeButton.focus();
+
+  return { close };
+}
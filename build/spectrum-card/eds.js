@@ -0,0 +1,60 @@
+// EDS helpers for the spectrum-card block. The bundle also runs outside EDS as
+// <eds-spectrum-card>, where scripts/aem.js is missing, and importing it on a
+// page that does have it would run its init() there. So the page's own aem.js is
+// only imported once the page has loaded it, and each helper says what it does
+// without it.
+
+let edsLoaded = null;
+let edsModule = null;
+
+// EDS pages have run aem.js's setup() before any block or element renders
+export function isEdsPage() {
+  return Boolean(window.hlx && typeof window.hlx.codeBasePath === 'string');
+}
+
+// The page's scripts/aem.js module, or null outside EDS. Importing the URL the
+// page already loaded returns that same module, without running init() again.
+export function loadEds() {
+  if (!edsLoaded) {
+    edsLoaded = isEdsPage()
+      ? import(/* @vite-ignore */ `${window.hlx.codeBasePath}/scripts/aem.js`)
+        .then((module) => {
+          edsModule = module;
+          return module;
+        })
+        .catch((error) => {
+          // eslint-disable-next-line no-console
+          console.debug('[spectrum-card] EDS scripts unavailable:', error);
+          return null;
+        })
+      : Promise.resolve(null);
+  }
+  return edsLoaded;
+}
+
+// The aem.js module once loadEds() has resolved with it, otherwise null
+export function getEds() {
+  return edsModule;
+}
+
+// RUM checkpoint through the page's sampleRUM; pages outside EDS have no collector
+export function sampleRUM(checkpoint, data) {
+  loadEds().then((eds) => {
+    if (eds) eds.sampleRUM(checkpoint, data);
+  });
+}
+
+// The page's placeholders, or none outside EDS, which leaves the English defaults
+export async function fetchPlaceholders(prefix) {
+  const eds = await loadEds();
+  return eds ? eds.fetchPlaceholders(prefix) : {};
+}
+
+// Page metadata through aem.js once loadEds() has resolved. Outside EDS, where
+// the element can still take its theme from the page, a plain <meta name> is read.
+export function getMetadata(name) {
+  const eds = getEds();
+  if (eds) return eds.getMetadata(name);
+  const meta = document.head.querySelector(`meta[name="${name}"]`);
+  return meta ? meta.content : '';
+}
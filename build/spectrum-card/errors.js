@@ -0,0 +1,122 @@
+// Typed fetch errors for the spectrum-card block, and the inline alert that
+// reports them. The types let the block tell a failed load from an empty index
+// and decide which failures are worth retrying.
+import '@spectrum-web-components/button/sp-button.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-alert.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-refresh.js';
+import { t } from './i18n.js';
+
+// Base class; url is the request that failed
+export class FetchError extends Error {
+  constructor(message, url, options) {
+    super(message, options);
+    this.name = 'FetchError';
+    this.url = url;
+  }
+
+  // Whether trying the same request again could succeed
+  get retryable() {
+    return true;
+  }
+}
+
+// The request never got a response: offline, DNS, CORS and the like
+export class NetworkError extends FetchError {
+  constructor(url, options) {
+    super(`Network error fetching ${url}`, url, options);
+    this.name = 'NetworkError';
+  }
+}
+
+// No response within the timeout; the request was aborted
+export class TimeoutError extends FetchError {
+  constructor(url, timeout) {
+    super(`Timed out after ${timeout}ms fetching ${url}`, url);
+    this.name = 'TimeoutError';
+  }
+}
+
+export class HttpError extends FetchError {
+  constructor(url, status) {
+    super(`Failed to fetch ${url}: ${status}`, url);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+
+  // Server errors, timeouts and rate limits can clear up; a 404 will not
+  get retryable() {
+    return this.status >= 500 || this.status === 408 || this.status === 429;
+  }
+}
+
+// The response arrived but is not the JSON the block expects
+export class ParseError extends FetchError {
+  constructor(url, options) {
+    super(`Invalid JSON from ${url}`, url, options);
+    this.name = 'ParseError';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+// What went wrong, in words for the visitor
+function describeError(error) {
+  if (!navigator.onLine) return t('offline');
+  if (error instanceof TimeoutError) return t('timeoutError');
+  if (error instanceof HttpError) return t('httpError', { status: error.status });
+  if (error instanceof NetworkError) return t('networkError');
+  if (error instanceof ParseError) return t('parseError');
+  return t('unknownError');
+}
+
+// Spectrum in-line alert (negative variant) describing error, with a Retry button.
+// onRetry runs when the button is pressed, or by itself once the browser comes
+// back online; it can return a promise to keep the button pending until it settles.
+// options.signal removes the online listener, for alerts of a render that was replaced.
+export function createErrorAlert(error, onRetry, options = {}) {
+  const alert = document.createElement('div');
+  alert.className = 'spectrum-card-alert';
+  alert.setAttribute('role', 'alert');
+
+  const header = document.createElement('div');
+  header.className = 'spectrum-card-alert-header';
+  header.textContent = t('error');
+  const icon = document.createElement('sp-icon-alert');
+  icon.setAttribute('label', t('error'));
+  header.appendChild(icon);
+
+  const content = document.createElement('p');
+  content.className = 'spectrum-card-alert-content';
+  content.textContent = describeError(error);
+
+  const retryButton = document.createElement('sp-button');
+  retryButton.setAttribute('variant', 'secondary');
+  retryButton.setAttribute('treatment', 'outline');
+  retryButton.setAttribute('size', 's');
+  retryButton.textContent = t('retry');
+  const retryIcon = document.createElement('sp-icon-refresh');
+  retryIcon.setAttribute('slot', 'icon');
+  retryButton.appendChild(retryIcon);
+
+  let retrying = false;
+  const retry = async () => {
+    window.removeEventListener('online', retry);
+    if (retrying || !alert.isConnected) return;
+    retrying = true;
+    retryButton.setAttribute('pending', '');
+    try {
+      await onRetry();
+    } finally {
+      retrying = false;
+      retryButton.removeAttribute('pending');
+    }
+  };
+  retryButton.addEventListener('click', retry);
+  // Recover without a click when the connection comes back
+  window.addEventListener('online', retry, { signal: options.signal });
+
+  alert.append(header, content, retryButton);
+  return alert;
+}
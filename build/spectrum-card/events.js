@@ -0,0 +1,22 @@
+// Public events for the spectrum-card block. They bubble from the block element,
+// so other blocks can listen on the block, its section or the document.
+export const EVENTS = {
+  // detail: { data, total } — rows loaded from the index, after the authored filters
+  LOADED: 'spectrum-card:loaded',
+  // detail: { count } — cards now in the grid
+  RENDERED: 'spectrum-card:rendered',
+  // detail: { index, path } — the modal shows a slide, including moving between slides
+  OPEN: 'spectrum-card:open',
+  // detail: { index, path } — the modal closed on this slide
+  CLOSE: 'spectrum-card:close',
+  // detail: { paths } — the cards selected for comparison changed
+  SELECT: 'spectrum-card:select',
+  // detail: { paths } — a card was saved or unsaved, here or in another tab
+  FAVORITE: 'spectrum-card:favorite',
+  // detail: { error, path } — the index, a page of it or a slide's content failed to load
+  ERROR: 'spectrum-card:error',
+};
+
+export function emit(block, type, detail = {}) {
+  block.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+}
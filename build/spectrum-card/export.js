@@ -0,0 +1,113 @@
+// Export menu for the spectrum-card block's toolbar, the download helper its
+// formats share, and the CSV and JSON forms of the card data
+import '@spectrum-web-components/action-menu/sp-action-menu.js';
+import '@spectrum-web-components/menu/sp-menu-item.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-export.js';
+import { t } from './i18n.js';
+
+// Values the "export" config accepts; each adds its actions to the menu
+export const EXPORT_FORMATS = {
+  // The whole deck as one document, to print or to save as an HTML file
+  HANDOUT: 'handout',
+  // The rows behind the cards in view, as a spreadsheet or as data
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+// Menu actions, in the order they are listed, with the format that adds them
+const EXPORT_ACTIONS = [
+  { value: 'print-handout', format: EXPORT_FORMATS.HANDOUT, label: 'printHandout' },
+  { value: 'download-handout', format: EXPORT_FORMATS.HANDOUT, label: 'downloadHandout' },
+  { value: 'download-csv', format: EXPORT_FORMATS.CSV, label: 'downloadCsv' },
+  { value: 'download-json', format: EXPORT_FORMATS.JSON, label: 'downloadJson' },
+];
+
+// Byte order mark, so spreadsheet apps such as Excel read the CSV as UTF-8
+const CSV_BOM = '\uFEFF';
+
+// Name for exported files, from the index's folder: "slides" for /slides/query-index.json
+export function getExportName(source) {
+  const folders = source.split('?')[0].split('/').slice(0, -1).filter(Boolean);
+  return folders.join('-') || 'cards';
+}
+
+// Columns to export: the ones the field mapping reads, in slot order, then any
+// other column in the order the rows first have it
+export function getExportColumns(rows, mappedColumns) {
+  const columns = new Set(mappedColumns.filter((column) => rows.some((row) => column in row)));
+  rows.forEach((row) => Object.keys(row).forEach((column) => columns.add(column)));
+  return [...columns];
+}
+
+// A CSV field, quoted when it holds a separator, quote or line break (RFC 4180).
+// Text a spreadsheet would run as a formula gets a leading apostrophe, so it opens as text;
+// plain numbers such as -12.5 stay numbers.
+function toCsvField(value) {
+  const raw = value === undefined || value === null ? '' : `${value}`;
+  const formula = /^[=+\-@\t\r]/.test(raw) && !/^-?\d+(\.\d+)?$/.test(raw);
+  const text = formula ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows as CSV with a header row, CRLF line endings and a byte order mark
+export function toCsv(rows, columns) {
+  const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(toCsvField).join(','));
+  return `${CSV_BOM}${lines.join('\r\n')}\r\n`;
+}
+
+// Rows as a JSON array, each row's keys in column order
+export function toJson(rows, columns) {
+  const ordered = rows.map((row) => Object.fromEntries(
+    columns.filter((column) => column in row).map((column) => [column, row[column]]),
+  ));
+  return JSON.stringify(ordered, null, 2);
+}
+
+// Save content as a file through a temporary download link
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.hidden = true;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked once the browser has had the chance to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Toolbar menu with the actions of the enabled formats. onAction(value) runs with
+// the chosen action's value, e.g. "print-handout"; setBusy(busy) disables the menu
+// while an export is being prepared.
+export function createExportMenu(formats, onAction) {
+  const menu = document.createElement('sp-action-menu');
+  menu.className = 'spectrum-card-export';
+  menu.setAttribute('size', 's');
+  const icon = document.createElement('sp-icon-export');
+  icon.setAttribute('slot', 'icon');
+  const label = document.createElement('span');
+  label.setAttribute('slot', 'label');
+  label.textContent = t('export');
+  menu.append(icon, label);
+
+  EXPORT_ACTIONS
+    .filter(({ format }) => formats.includes(format))
+    .forEach(({ value, label: labelKey }) => {
+      const item = document.createElement('sp-menu-item');
+      item.setAttribute('value', value);
+      item.textContent = t(labelKey);
+      menu.appendChild(item);
+    });
+
+  // The menu keeps no selection, so its value is only set during the event
+  menu.addEventListener('change', () => onAction(menu.value));
+
+  const setBusy = (busy) => {
+    menu.disabled = busy;
+    menu.setAttribute('aria-busy', `${busy}`);
+  };
+
+  return { menu, setBusy };
+}
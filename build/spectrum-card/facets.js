@@ -0,0 +1,180 @@
+// Faceted filtering for the spectrum-card block
+import '@spectrum-web-components/action-group/sp-action-group.js';
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/button/sp-button.js';
+import { t } from './i18n.js';
+
+const FACET_CONFIG = {
+  // Facets with more distinct values than this show only the first ones, and the
+  // selected ones, until the visitor expands them
+  COLLAPSED_VALUES: 8,
+  VALUE_SEPARATOR: ',',
+};
+
+// Query-index cells such as tags hold several comma-separated values
+export function splitCellValues(value) {
+  return (value || '').toString()
+    .split(FACET_CONFIG.VALUE_SEPARATOR)
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+// Turn a column name like "productType" into a "Product type" label
+export function toColumnLabel(column) {
+  const words = column.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Distinct, sorted values of a column across all rows
+function getFacetValues(data, column) {
+  const values = new Set();
+  data.forEach((row) => splitCellValues(row[column]).forEach((value) => values.add(value)));
+  return [...values].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Values are OR-ed within a facet and facets are AND-ed together
+export function matchesFacets(row, selections) {
+  return Object.entries(selections).every(([column, selected]) => {
+    if (!selected.length) return true;
+    const cellValues = splitCellValues(row[column]).map((value) => value.toLowerCase());
+    return selected.some((value) => cellValues.includes(value.toLowerCase()));
+  });
+}
+
+// Read the active facet selections from the page query string
+export function readFacetSelections(columns) {
+  const params = new URLSearchParams(window.location.search);
+  const selections = {};
+  columns.forEach((column) => {
+    selections[column] = splitCellValues(params.get(column));
+  });
+  return selections;
+}
+
+// Selections given as value lists or separated strings, e.g. { tags: 'design, eds' },
+// over the facet columns, with every column left out cleared
+export function toFacetSelections(columns, selections) {
+  const result = Object.fromEntries(columns.map((column) => [column, []]));
+  Object.entries(selections).forEach(([column, values]) => {
+    result[column] = Array.isArray(values) ? values : splitCellValues(values);
+  });
+  return result;
+}
+
+// Mirror the facet selections into the query string so filtered views can be shared
+export function writeFacetSelections(selections) {
+  const url = new URL(window.location.href);
+  Object.entries(selections).forEach(([column, selected]) => {
+    if (selected.length) {
+      url.searchParams.set(column, selected.join(FACET_CONFIG.VALUE_SEPARATOR));
+    } else {
+      url.searchParams.delete(column);
+    }
+  });
+  window.history.replaceState(window.history.state, '', url);
+}
+
+// Multi-select toggle buttons, one per value
+function createActionGroupFacet(column, values, selected, onChange) {
+  const group = document.createElement('sp-action-group');
+  group.setAttribute('selects', 'multiple');
+  group.setAttribute('size', 's');
+  group.setAttribute('compact', '');
+  group.setAttribute('label', toColumnLabel(column));
+  group.dataset.facet = column;
+
+  values.forEach((value) => {
+    const button = document.createElement('sp-action-button');
+    button.setAttribute('value', value);
+    button.textContent = value;
+    if (selected.includes(value)) button.setAttribute('selected', '');
+    group.appendChild(button);
+  });
+
+  group.addEventListener('change', () => onChange(column, [...group.selected]));
+  return group;
+}
+
+// Show or hide the values past the first few. Selected values stay visible, so a
+// shared URL shows every value it filters on.
+function setFacetCollapsed(group, toggle, collapsed) {
+  [...group.querySelectorAll('sp-action-button')].forEach((button, position) => {
+    button.hidden = collapsed && position >= FACET_CONFIG.COLLAPSED_VALUES && !button.hasAttribute('selected');
+  });
+  const count = group.querySelectorAll('sp-action-button').length;
+  toggle.textContent = collapsed ? t('showAllValues', { count }) : t('showFewerValues');
+  toggle.setAttribute('aria-expanded', `${!collapsed}`);
+}
+
+// Toggle for a facet with more values than fit in a row of buttons
+function createFacetToggle(group) {
+  const toggle = document.createElement('sp-action-button');
+  toggle.className = 'spectrum-card-facet-toggle';
+  toggle.setAttribute('size', 's');
+  toggle.setAttribute('quiet', '');
+  let collapsed = true;
+  setFacetCollapsed(group, toggle, collapsed);
+  toggle.addEventListener('click', () => {
+    collapsed = !collapsed;
+    setFacetCollapsed(group, toggle, collapsed);
+  });
+  return toggle;
+}
+
+// Build the filter bar for the configured facet columns.
+// onChange receives the complete selection map whenever any facet changes.
+export function createFilterBar(data, columns, initialSelections, onChange) {
+  const selections = { ...initialSelections };
+
+  const filterBar = document.createElement('div');
+  filterBar.className = 'spectrum-card-filters';
+  filterBar.setAttribute('role', 'group');
+  filterBar.setAttribute('aria-label', t('filterCards'));
+
+  const handleFacetChange = (column, selected) => {
+    selections[column] = selected;
+    onChange({ ...selections });
+  };
+
+  columns.forEach((column) => {
+    const values = getFacetValues(data, column);
+    if (!values.length) return;
+
+    // Drop selections from the URL that no longer exist in the index
+    selections[column] = (selections[column] || []).filter((value) => values.includes(value));
+
+    const facet = document.createElement('div');
+    facet.className = 'spectrum-card-facet';
+
+    const label = document.createElement('span');
+    label.className = 'spectrum-card-facet-label';
+    label.textContent = toColumnLabel(column);
+    facet.appendChild(label);
+
+    const group = createActionGroupFacet(column, values, selections[column], handleFacetChange);
+    facet.appendChild(group);
+    if (values.length > FACET_CONFIG.COLLAPSED_VALUES) facet.appendChild(createFacetToggle(group));
+    filterBar.appendChild(facet);
+  });
+
+  const clearButton = document.createElement('sp-button');
+  clearButton.setAttribute('variant', 'secondary');
+  clearButton.setAttribute('treatment', 'outline');
+  clearButton.setAttribute('size', 's');
+  clearButton.textContent = t('clearFilters');
+  clearButton.addEventListener('click', () => {
+    Object.keys(selections).forEach((column) => {
+      selections[column] = [];
+    });
+    filterBar.querySelectorAll('sp-action-group').forEach((group) => {
+      group.selected = [];
+      group.querySelectorAll('sp-action-button').forEach((button) => {
+        button.selected = false;
+      });
+    });
+    onChange({ ...selections });
+  });
+  filterBar.appendChild(clearButton);
+
+  return { filterBar, selections };
+}
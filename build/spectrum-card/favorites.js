@@ -0,0 +1,154 @@
+// Favorite cards for the spectrum-card block. Saved paths are kept in
+// localStorage, one list per query-index source, shared by the blocks on the
+// page that use it and with other tabs through the storage event.
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-star.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-star-outline.js';
+import { t } from './i18n.js';
+
+const FAVORITES_CONFIG = {
+  KEY_PREFIX: 'spectrum-card:favorites:',
+};
+
+function readPaths(key) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored.filter((path) => typeof path === 'string') : [];
+  } catch (error) {
+    // Unavailable storage or a value that is not ours: start with no favorites
+    return [];
+  }
+}
+
+function writePaths(key, paths) {
+  try {
+    if (paths.length) {
+      localStorage.setItem(key, JSON.stringify(paths));
+    } else {
+      localStorage.removeItem(key);
+    }
+  } catch (error) {
+    // Storage full or unavailable: the favorites last for this page view only
+    // eslint-disable-next-line no-console
+    console.debug('[spectrum-card] could not save favorites:', error);
+  }
+}
+
+// Saved paths per storage key, shared by every block on the page that uses the
+// key, with the onChange of each. The storage event only reaches other tabs, so
+// blocks in this tab hear about each other's changes from here.
+const sharedLists = new Map();
+
+function getSharedList(key) {
+  if (!sharedLists.has(key)) {
+    sharedLists.set(key, { paths: new Set(readPaths(key)), listeners: new Set() });
+  }
+  return sharedLists.get(key);
+}
+
+// Favorites for one query-index source. onChange(paths) runs when another block
+// or another tab changes them; the store's own changes are left to the caller.
+// Paths missing from the rows a block loaded are kept rather than dropped: the
+// block may only have part of the index, and an unpublished page can come back.
+export function createFavoritesStore(source, onChange) {
+  const key = `${FAVORITES_CONFIG.KEY_PREFIX}${source}`;
+  const list = getSharedList(key);
+  const listener = () => {
+    if (onChange) onChange([...list.paths]);
+  };
+  list.listeners.add(listener);
+
+  const handleStorage = (event) => {
+    // null key: another tab cleared all of localStorage
+    if (event.key !== key && event.key !== null) return;
+    list.paths = new Set(readPaths(key));
+    listener();
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    has: (path) => list.paths.has(path),
+    paths: () => [...list.paths],
+    // Returns whether path is saved afterwards
+    toggle: (path) => {
+      if (list.paths.has(path)) {
+        list.paths.delete(path);
+      } else {
+        list.paths.add(path);
+      }
+      writePaths(key, [...list.paths]);
+      list.listeners.forEach((other) => {
+        if (other !== listener) other();
+      });
+      return list.paths.has(path);
+    },
+    disconnect: () => {
+      window.removeEventListener('storage', handleStorage);
+      list.listeners.delete(listener);
+      // A block rendered later reads storage afresh
+      if (list.listeners.size === 0 && sharedLists.get(key) === list) sharedLists.delete(key);
+    },
+  };
+}
+
+function setStarIcon(button, saved) {
+  const icon = document.createElement(saved ? 'sp-icon-star' : 'sp-icon-star-outline');
+  icon.setAttribute('slot', 'icon');
+  const current = button.querySelector('[slot="icon"]');
+  if (current) {
+    current.replaceWith(icon);
+  } else {
+    button.appendChild(icon);
+  }
+}
+
+// Star toggle for a card. onToggle() saves or unsaves the card and returns
+// whether it is saved afterwards.
+export function createFavoriteButton(path, saved, onToggle) {
+  const button = document.createElement('sp-action-button');
+  button.className = 'spectrum-card-favorite';
+  button.dataset.path = path;
+  button.setAttribute('quiet', '');
+  button.setAttribute('label', t('saveCard'));
+  button.setAttribute('title', t('saveCard'));
+  button.toggles = true;
+  button.selected = saved;
+  setStarIcon(button, saved);
+
+  button.addEventListener('change', () => {
+    const isSaved = onToggle();
+    button.selected = isSaved;
+    setStarIcon(button, isSaved);
+  });
+  return button;
+}
+
+// Bring a card's star in line with a change made elsewhere, such as another tab
+export function updateFavoriteButton(button, saved) {
+  if (button.selected === saved) return;
+  button.selected = saved;
+  setStarIcon(button, saved);
+}
+
+// Toolbar toggle that narrows the grid to saved cards. onChange(savedOnly) runs on each press;
+// setCount(count) shows how many of the saved cards are in the index.
+export function createSavedOnlyToggle(onChange) {
+  const button = document.createElement('sp-action-button');
+  button.className = 'spectrum-card-saved-only';
+  button.setAttribute('size', 's');
+  button.toggles = true;
+  const icon = document.createElement('sp-icon-star');
+  icon.setAttribute('slot', 'icon');
+  button.appendChild(icon);
+  const label = document.createTextNode('');
+  button.appendChild(label);
+
+  button.addEventListener('change', () => onChange(button.selected));
+
+  const setCount = (count) => {
+    label.textContent = t('savedOnly', { count });
+  };
+  setCount(0);
+
+  return { button, setCount };
+}
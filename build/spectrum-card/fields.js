@@ -0,0 +1,150 @@
+// Column-to-slot field mapping for the spectrum-card block, so one block can
+// list products, events, people or slides from whatever columns their index has
+import { cachedFetch } from './cache.js';
+import { formatDate, formatNumber } from './i18n.js';
+
+// Card slots a mapping can fill, and the columns the slide index uses for them.
+// A value lists one or more columns (the first non-empty one wins), optionally
+// followed by formatters: "supportingText, longDescription | truncate:120".
+const DEFAULT_FIELD_MAPPING = {
+  heading: 'title',
+  subheading: '',
+  preview: 'image',
+  description: 'description',
+  // Secondary text under the description
+  details: 'supportingText, longDescription | truncate:120',
+  // Text shown in the footer next to the button
+  footer: '',
+  cta: 'buttonText',
+};
+
+export const CARD_SLOTS = Object.keys(DEFAULT_FIELD_MAPPING);
+
+// Formatters take the cell value and the optional argument after the colon
+const FORMATTERS = {
+  // date or date:long, using the Intl dateStyle names
+  date: (value, style = 'medium') => formatDate(value, { dateStyle: style }),
+  // currency:EUR
+  currency: (value, currency = 'USD') => {
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount)) return value;
+    return formatNumber(amount, { style: 'currency', currency: currency.toUpperCase() });
+  },
+  // truncate:80
+  truncate: (value, length = '120') => {
+    const maxLength = parseInt(length, 10);
+    return value.length > maxLength ? `${value.substring(0, maxLength)}...` : value;
+  },
+};
+
+// Split "columnA, columnB | formatter:arg" into its columns and formatters
+function parseFieldSpec(spec) {
+  const [columnList, ...formatterSpecs] = spec.split('|').map((part) => part.trim());
+  return {
+    columns: columnList.split(',').map((column) => column.trim()).filter(Boolean),
+    formatters: formatterSpecs.filter(Boolean).map((formatterSpec) => {
+      const [name, ...arg] = formatterSpec.split(':');
+      return { name: name.trim().toLowerCase(), arg: arg.length ? arg.join(':').trim() : undefined };
+    }),
+  };
+}
+
+// Parse "slot=spec" entries, one per paragraph or separated by semicolons.
+// slots lists the slot names to accept; templates add their own to the card slots.
+export function parseFieldMapping(entries, slots = CARD_SLOTS) {
+  const mapping = {};
+  entries
+    .flatMap((entry) => entry.split(';'))
+    .forEach((entry) => {
+      const [slot, ...spec] = entry.split('=');
+      const slotName = slot.trim();
+      if (slots.includes(slotName)) mapping[slotName] = spec.join('=').trim();
+    });
+  return mapping;
+}
+
+// A shared mapping file is either a plain { slot: spec } object or an EDS
+// spreadsheet with Slot and Field columns
+async function fetchSharedMapping(source, slots) {
+  try {
+    const json = JSON.parse(await cachedFetch(source, { accept: 'application/json' }));
+    if (!Array.isArray(json.data)) return json;
+    const mapping = {};
+    json.data.forEach((row) => {
+      const slot = (row.Slot || row.slot || '').trim();
+      if (slots.includes(slot)) mapping[slot] = (row.Field || row.field || '').trim();
+    });
+    return mapping;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[spectrum-card] field mapping fetch error:', error);
+    return {};
+  }
+}
+
+// The mapping for a block: the defaults, then the template's, then the shared
+// file, then the block's own entries
+export async function loadFieldMapping(blockMapping, source, templateMapping = {}) {
+  const slots = [...CARD_SLOTS, ...Object.keys(templateMapping)];
+  const sharedMapping = source ? await fetchSharedMapping(source, slots) : {};
+  return {
+    ...DEFAULT_FIELD_MAPPING,
+    ...templateMapping,
+    ...sharedMapping,
+    ...blockMapping,
+  };
+}
+
+// Resolve one slot's spec against a row
+function resolveField(row, spec) {
+  const { columns, formatters } = parseFieldSpec(spec || '');
+  const column = columns.find((name) => row[name] !== undefined && row[name] !== null && `${row[name]}`.trim());
+  if (!column) return '';
+
+  return formatters.reduce((value, { name, arg }) => {
+    if (!FORMATTERS[name]) {
+      // eslint-disable-next-line no-console
+      console.debug('[spectrum-card] unknown field formatter:', name);
+      return value;
+    }
+    try {
+      return `${FORMATTERS[name](value, arg)}`;
+    } catch (error) {
+      // An argument Intl rejects, such as currency:dollars or date:foo, leaves the value as it is
+      // eslint-disable-next-line no-console
+      console.debug('[spectrum-card] field formatter failed:', `${name}:${arg}`, error);
+      return value;
+    }
+  }, `${row[column]}`.trim());
+}
+
+// The column a slot reads first, e.g. "price" for "price, listPrice | currency"
+export function getSlotColumn(mapping, slot) {
+  return parseFieldSpec(mapping[slot] || '').columns[0] || '';
+}
+
+// Every column the mapping reads, in slot order and without repeats
+export function getMappedColumns(mapping) {
+  const columns = Object.keys(mapping).flatMap((slot) => parseFieldSpec(mapping[slot] || '').columns);
+  return [...new Set(columns)];
+}
+
+// Every slot's value for a row, as strings
+export function mapCardFields(row, mapping) {
+  const fields = {};
+  Object.keys(mapping).forEach((slot) => {
+    fields[slot] = resolveField(row, mapping[slot]);
+  });
+  return fields;
+}
+
+// The row as a slide for the modal and presentation, which read title, description and image
+export function toSlide(row, mapping) {
+  const fields = mapCardFields(row, mapping);
+  return {
+    ...row,
+    title: fields.heading,
+    description: fields.description,
+    image: fields.preview,
+  };
+}
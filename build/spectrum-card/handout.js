@@ -0,0 +1,192 @@
+// Printable handout for the spectrum-card block: every slide of a deck with its
+// full content in one standalone document, one slide per printed page
+import { getLocale, t } from './i18n.js';
+import { extractSpeakerNotes } from './presenter.js';
+
+const HANDOUT_CONFIG = {
+  // Slide documents fetched at once, so a long deck does not flood the network
+  CONCURRENCY: 4,
+};
+
+// The handout carries its own styles, as the downloaded file has no access to the site's
+const HANDOUT_STYLES = `
+  :root { color-scheme: light; }
+  body {
+    max-width: 52rem;
+    margin: 0 auto;
+    padding: 2rem;
+    font-family: system-ui, -apple-system, 'Segoe UI', sans-serif;
+    line-height: 1.5;
+    color: #222;
+  }
+  img, video, iframe { max-width: 100%; height: auto; }
+  table { border-collapse: collapse; }
+  td, th { padding: 0.25rem 0.5rem; border: 1px solid #ccc; vertical-align: top; }
+  .handout-cover h1 { margin-bottom: 0.25rem; }
+  .handout-count { margin-top: 0; color: #666; }
+  .handout-toc a { color: inherit; }
+  .handout-slide { padding-top: 2rem; border-top: 1px solid #ddd; }
+  .handout-slide-number { margin: 0; font-size: 0.875rem; color: #666; }
+  .handout-slide h2 { margin: 0.25rem 0 0.5rem; font-size: 1.75rem; }
+  .handout-description { font-size: 1.125rem; color: #444; }
+  .handout-image { display: block; width: 100%; max-height: 24rem; object-fit: cover; }
+  .handout-unavailable { font-style: italic; color: #666; }
+  @page { margin: 15mm; }
+  @media print {
+    body { max-width: none; padding: 0; }
+    a { color: inherit; text-decoration: none; }
+    .handout-toc { break-after: page; }
+    .handout-slide { padding-top: 0; border-top: 0; break-after: page; }
+    .handout-slide:last-of-type { break-after: auto; }
+    .handout-image { max-height: 40vh; }
+    img, figure, table, pre, blockquote { break-inside: avoid; }
+    h1, h2, h3, h4 { break-after: avoid; }
+  }
+`;
+
+// Run loadContent over every slide, a few at a time, keeping the slides' order
+async function loadAll(slides, loadContent) {
+  const contents = new Array(slides.length).fill(null);
+  let next = 0;
+  const worker = async () => {
+    while (next < slides.length) {
+      const position = next;
+      next += 1;
+      contents[position] = await loadContent(slides[position]);
+    }
+  };
+  const workers = Array.from({ length: Math.min(HANDOUT_CONFIG.CONCURRENCY, slides.length) }, worker);
+  await Promise.all(workers);
+  return contents;
+}
+
+function createSlideSection(doc, slide, content, position, total) {
+  const id = `slide-${position + 1}`;
+  const section = doc.createElement('section');
+  section.className = 'handout-slide';
+  section.id = id;
+  section.setAttribute('aria-labelledby', `${id}-title`);
+
+  const number = doc.createElement('p');
+  number.className = 'handout-slide-number';
+  number.textContent = t('position', { current: position + 1, total });
+  const heading = doc.createElement('h2');
+  heading.id = `${id}-title`;
+  heading.textContent = slide.title || t('defaultTitle');
+  section.append(number, heading);
+
+  if (slide.description) {
+    const description = doc.createElement('p');
+    description.className = 'handout-description';
+    description.textContent = slide.description;
+    section.appendChild(description);
+  }
+
+  if (slide.image) {
+    const image = doc.createElement('img');
+    image.className = 'handout-image';
+    image.src = slide.image;
+    image.alt = '';
+    section.appendChild(image);
+  }
+
+  const body = doc.createElement('div');
+  body.className = 'handout-content';
+  if (content !== null) {
+    // Speaker notes stay with the presenter
+    body.innerHTML = extractSpeakerNotes(content).html;
+  } else {
+    const unavailable = doc.createElement('p');
+    unavailable.className = 'handout-unavailable';
+    unavailable.textContent = slide.path ? t('contentUnavailable') : t('noContentPath');
+    body.appendChild(unavailable);
+  }
+  section.appendChild(body);
+
+  return section;
+}
+
+// Build the handout for slides ({ title, description, image, path }) as a complete
+// HTML document: a title page with the table of contents, then one section per slide.
+// loadContent(slide) resolves to the slide's .plain.html, or null when it cannot be loaded;
+// rewriteUrls(root) makes the URLs in the finished document work away from the site.
+export async function createHandout(slides, { title, loadContent, rewriteUrls }) {
+  const contents = await loadAll(slides, loadContent);
+
+  // A separate document, so nothing in it loads or runs while it is put together
+  const doc = document.implementation.createHTMLDocument(title);
+  doc.documentElement.lang = getLocale();
+  const charset = doc.createElement('meta');
+  charset.setAttribute('charset', 'utf-8');
+  const viewport = doc.createElement('meta');
+  viewport.name = 'viewport';
+  viewport.content = 'width=device-width, initial-scale=1';
+  const style = doc.createElement('style');
+  style.textContent = HANDOUT_STYLES;
+  doc.head.prepend(charset, viewport);
+  doc.head.appendChild(style);
+
+  const cover = doc.createElement('header');
+  cover.className = 'handout-cover';
+  const heading = doc.createElement('h1');
+  heading.textContent = title;
+  const count = doc.createElement('p');
+  count.className = 'handout-count';
+  count.textContent = t('handoutCount', { count: slides.length });
+  cover.append(heading, count);
+
+  const toc = doc.createElement('nav');
+  toc.className = 'handout-toc';
+  toc.setAttribute('aria-labelledby', 'handout-toc-title');
+  const tocHeading = doc.createElement('h2');
+  tocHeading.id = 'handout-toc-title';
+  tocHeading.textContent = t('tableOfContents');
+  const tocList = doc.createElement('ol');
+  slides.forEach((slide, position) => {
+    const item = doc.createElement('li');
+    const link = doc.createElement('a');
+    link.href = `#slide-${position + 1}`;
+    link.textContent = slide.title || t('defaultTitle');
+    item.appendChild(link);
+    tocList.appendChild(item);
+  });
+  toc.append(tocHeading, tocList);
+
+  const main = doc.createElement('main');
+  slides.forEach((slide, position) => {
+    main.appendChild(createSlideSection(doc, slide, contents[position], position, slides.length));
+  });
+
+  doc.body.append(cover, toc, main);
+  rewriteUrls(doc.body);
+  // Images a browser would otherwise leave unloaded until scrolled to are needed for print
+  doc.body.querySelectorAll('img[loading="lazy"]').forEach((image) => image.removeAttribute('loading'));
+
+  return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+}
+
+let printFrame = null;
+
+// Print the handout from a hidden frame, leaving the page as it is
+export function printHandout(html) {
+  if (printFrame) printFrame.remove();
+  const frame = document.createElement('iframe');
+  frame.className = 'spectrum-card-print-frame';
+  frame.setAttribute('aria-hidden', 'true');
+  frame.tabIndex = -1;
+  printFrame = frame;
+
+  // The load event waits for the handout's images, so none print blank
+  frame.addEventListener('load', () => {
+    const frameWindow = frame.contentWindow;
+    frameWindow.addEventListener('afterprint', () => {
+      frame.remove();
+      if (printFrame === frame) printFrame = null;
+    });
+    frameWindow.focus();
+    frameWindow.print();
+  }, { once: true });
+
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
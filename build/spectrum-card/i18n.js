@@ -0,0 +1,153 @@
+// Localized UI strings for the spectrum-card block, resolved through EDS placeholders
+import { fetchPlaceholders } from './eds.js';
+
+// English defaults. A placeholders sheet overrides any of them with keys such as
+// "spectrum-card-loading", which fetchPlaceholders camel-cases to spectrumCardLoading.
+// {name} marks a value filled in by t().
+const DEFAULT_STRINGS = {
+  loading: 'Loading cards...',
+  noCards: 'No cards available',
+  noMatches: 'No cards match the selected filters',
+  error: 'Error loading cards',
+  offline: 'You are offline. The cards will load when the connection comes back.',
+  timeoutError: 'The cards took too long to load.',
+  httpError: 'The cards could not be loaded (error {status}).',
+  networkError: 'The cards could not be loaded because of a network problem.',
+  parseError: 'The card data could not be read.',
+  unknownError: 'Something went wrong while loading the cards.',
+  retry: 'Retry',
+  readMore: 'Read More',
+  defaultTitle: 'Card Title',
+  defaultDescription: 'Card description',
+  closeModal: 'Close modal',
+  loadingContent: 'Loading content...',
+  contentUnavailable: 'Content not available - Unable to load the full content for this slide.',
+  noContentPath: 'No content path available',
+  modalError: 'Failed to open modal for "{title}". Error: {error}',
+  position: '{current} of {total}',
+  previousSlide: 'Previous slide',
+  nextSlide: 'Next slide',
+  present: 'Present',
+  presenterView: 'Presenter view',
+  pause: 'Pause',
+  resume: 'Resume',
+  exitPresentation: 'Exit presentation',
+  currentSlide: 'Current slide',
+  speakerNotes: 'Speaker notes',
+  noSpeakerNotes: 'No speaker notes for this slide',
+  endOfPresentation: 'End of presentation',
+  resetTimer: 'Reset timer',
+  filterCards: 'Filter cards',
+  clearFilters: 'Clear filters',
+  showAllValues: 'Show all ({count})',
+  showFewerValues: 'Show fewer',
+  cardPages: 'Card pages',
+  previousPage: 'Previous page',
+  nextPage: 'Next page',
+  loadingMore: 'Loading more cards...',
+  carousel: 'Cards',
+  previousCards: 'Previous cards',
+  nextCards: 'Next cards',
+  upcoming: 'Upcoming',
+  past: 'Past',
+  byAuthor: 'By {author}',
+  readingTime: '{minutes} min read',
+  selectedCards: 'Selected cards',
+  selectedCount: '{count} selected',
+  selectionLimit: 'You can compare up to {max} cards',
+  compare: 'Compare',
+  clearSelection: 'Clear selection',
+  compareTitle: 'Comparing {count} cards',
+  closeComparison: 'Close comparison',
+  saveCard: 'Save card',
+  savedOnly: 'Saved ({count})',
+  noSavedCards: 'No saved cards yet. Star a card to save it.',
+  shareActions: 'Share options',
+  copyLink: 'Copy link',
+  share: 'Share',
+  openPage: 'Open page',
+  linkCopied: 'Link copied',
+  copyFailed: 'The link could not be copied',
+  export: 'Export',
+  printHandout: 'Print handout',
+  downloadHandout: 'Download handout (HTML)',
+  downloadCsv: 'Download data (CSV)',
+  downloadJson: 'Download data (JSON)',
+  preparingExport: 'Preparing the export...',
+  exportFailed: 'The export could not be prepared',
+  handoutCount: '{count} slides',
+  tableOfContents: 'Contents',
+};
+
+const strings = { ...DEFAULT_STRINGS };
+let stringsLoaded = null;
+
+// Locale folder the page lives in, e.g. "/fr" for /fr/slides/intro or "/en-gb"
+// for /en-gb/about; pages outside a locale folder use the default placeholders
+export function getLocalePrefix(pathname = window.location.pathname) {
+  const match = pathname.match(/^\/([a-z]{2}(?:-[a-z]{2})?)(?:\/|$)/i);
+  return match ? `/${match[1].toLowerCase()}` : 'default';
+}
+
+// The page language set from metadata in scripts.js, for Intl formatting
+export function getLocale() {
+  return document.documentElement.lang || navigator.language || 'en';
+}
+
+// Load the placeholders for the page's locale. Every block on the page shares the request.
+export function loadStrings() {
+  if (!stringsLoaded) {
+    stringsLoaded = fetchPlaceholders(getLocalePrefix()).then((placeholders) => {
+      Object.keys(DEFAULT_STRINGS).forEach((key) => {
+        const value = placeholders[`spectrumCard${key.charAt(0).toUpperCase()}${key.slice(1)}`];
+        if (value) strings[key] = value;
+      });
+    });
+  }
+  return stringsLoaded;
+}
+
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(getLocale(), options).format(value);
+}
+
+// Spreadsheet dates are day counts from 30 December 1899. Below this many days
+// (the year 2173) a number is read as one, as Unix seconds that small would
+// all fall on 1 or 2 January 1970.
+const MAX_SPREADSHEET_DAY = 100000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query-index dates are Unix timestamps in seconds (lastModified), spreadsheet
+// day counts, with the time of day as a fraction, or date strings.
+// Returns null for values that are not dates.
+export function parseDate(value) {
+  if (value === undefined || value === null || `${value}`.trim() === '') return null;
+  const timestamp = Number(value);
+  if (Number.isFinite(timestamp) && timestamp >= 0 && timestamp < MAX_SPREADSHEET_DAY) {
+    // Whole days are days in the visitor's time zone, like date-only strings
+    const days = Math.floor(timestamp);
+    return new Date(1899, 11, 30 + days, 0, 0, 0, Math.round((timestamp - days) * DAY_MS));
+  }
+  if (Number.isFinite(timestamp)) return new Date(timestamp * 1000);
+  // Date-only strings are days in the visitor's time zone, not midnight UTC
+  const day = `${value}`.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = day ? new Date(day[1], day[2] - 1, day[3]) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Values that are not dates are returned unchanged
+export function formatDate(value, options = { dateStyle: 'medium' }) {
+  const date = parseDate(value);
+  if (!date) return value;
+  return new Intl.DateTimeFormat(getLocale(), options).format(date);
+}
+
+// Localized string for key, with {name} tokens replaced from values.
+// Numbers are formatted for the page locale.
+export function t(key, values = {}) {
+  return (strings[key] || key).replace(/\{(\w+)\}/g, (token, name) => {
+    if (!(name in values)) return token;
+    const value = values[name];
+    return typeof value === 'number' ? formatNumber(value) : value;
+  });
+}
@@ -0,0 +1,85 @@
+// Responsive images for the spectrum-card block
+import { getEds, isEdsPage } from './eds.js';
+
+const IMAGE_CONFIG = {
+  // Shown when a slide has no image of its own; auto=format already negotiates webp
+  FALLBACK_IMAGE: 'https://images.unsplash.com/photo-1513635269975-59663e0ac1ad?ixlib=rb-4.0.3&auto=format&fit=crop&q=80',
+  FALLBACK_HOST: 'images.unsplash.com',
+  // Background widths are rounded up to a multiple of this so similar screens share renditions
+  WIDTH_STEP: 250,
+  MAX_WIDTH: 3000,
+};
+
+// createOptimizedPicture breakpoints for each way a card image is shown
+export const CARD_IMAGE_BREAKPOINTS = {
+  // Cards are at most 400px wide, so 600 covers high-density screens
+  DEFAULT: [{ media: '(min-width: 600px)', width: '600' }, { width: '400' }],
+  // The featured card spans the whole grid
+  FEATURED: [{ media: '(min-width: 900px)', width: '1600' }, { media: '(min-width: 600px)', width: '900' }, { width: '600' }],
+  // Horizontal list cards show a small square thumbnail
+  THUMBNAIL: [{ width: '200' }],
+};
+
+// Only same-origin images on an EDS site are served by EDS and can be requested at other widths
+const isOptimizable = (url) => isEdsPage() && url.origin === window.location.origin;
+
+// Card image as a <picture> with webp sources; images hosted elsewhere get a plain img
+export function createCardPicture(src, alt, eager, breakpoints) {
+  const url = new URL(src, window.location.href);
+  // The block renders after loadEds(), so on EDS pages the module is there by now
+  const eds = getEds();
+  if (eds && isOptimizable(url)) {
+    return eds.createOptimizedPicture(src, alt, eager, breakpoints);
+  }
+  const picture = document.createElement('picture');
+  const img = document.createElement('img');
+  img.setAttribute('loading', eager ? 'eager' : 'lazy');
+  img.setAttribute('alt', alt);
+  img.setAttribute('src', src);
+  picture.appendChild(img);
+  return picture;
+}
+
+const roundWidth = (width) => Math.min(
+  Math.ceil(width / IMAGE_CONFIG.WIDTH_STEP) * IMAGE_CONFIG.WIDTH_STEP,
+  IMAGE_CONFIG.MAX_WIDTH,
+);
+
+// URL of a rendition at the given width, or null when the host cannot resize
+function getRenditionUrl(url, width, format) {
+  if (isOptimizable(url)) {
+    return `${url.pathname}?width=${width}&format=${format}&optimize=medium`;
+  }
+  if (url.hostname === IMAGE_CONFIG.FALLBACK_HOST) {
+    const resized = new URL(url);
+    resized.searchParams.set('w', width);
+    return resized.href;
+  }
+  return null;
+}
+
+// Set a background image sized for the element: a 1x/2x image-set() with webp
+// offered first, over a single-rendition url() for browsers without image-set types.
+// Without src the shared fallback image is used.
+export function setBackgroundImage(element, src) {
+  const url = new URL(src || IMAGE_CONFIG.FALLBACK_IMAGE, window.location.href);
+  const width = roundWidth(element.clientWidth || window.innerWidth);
+  const ext = url.pathname.substring(url.pathname.lastIndexOf('.') + 1);
+
+  const base = getRenditionUrl(url, width, ext);
+  if (!base) {
+    element.style.backgroundImage = `url("${url.href}")`;
+    return;
+  }
+  element.style.backgroundImage = `url("${base}")`;
+
+  const candidates = [1, 2].flatMap((density) => {
+    const densityWidth = roundWidth(width * density);
+    const original = `url("${getRenditionUrl(url, densityWidth, ext)}") ${density}x`;
+    return isOptimizable(url)
+      ? [`url("${getRenditionUrl(url, densityWidth, 'webply')}") type("image/webp") ${density}x`, original]
+      : [original];
+  });
+  // Browsers that cannot parse the image-set() ignore it and keep the url() above
+  element.style.backgroundImage = `image-set(${candidates.join(', ')})`;
+}
@@ -0,0 +1,81 @@
+// Layout variants for the spectrum-card block. Authors pick one the EDS way,
+// with a block option such as "Spectrum Card (carousel)".
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-chevron-left.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-chevron-right.js';
+import { t } from './i18n.js';
+
+export const LAYOUTS = {
+  GRID: 'grid',
+  CAROUSEL: 'carousel',
+  LIST: 'list',
+  MASONRY: 'masonry',
+  FEATURED: 'featured',
+};
+
+// The first layout class on the block wins; plain blocks keep the grid
+export function getLayout(block) {
+  return Object.values(LAYOUTS).find((layout) => block.classList.contains(layout)) || LAYOUTS.GRID;
+}
+
+// A layout named in text, such as the custom element's layout attribute
+export function parseLayout(value) {
+  const layout = (value || '').trim().toLowerCase();
+  return Object.values(LAYOUTS).includes(layout) ? layout : LAYOUTS.GRID;
+}
+
+const prefersReducedMotion = () => Boolean(window.matchMedia
+  && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+
+function createCarouselButton(label, iconName, onClick) {
+  const button = document.createElement('sp-action-button');
+  button.setAttribute('label', label);
+  button.setAttribute('title', label);
+  const icon = document.createElement(iconName);
+  icon.setAttribute('slot', 'icon');
+  button.appendChild(icon);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Turn the card container into a scroll-snap carousel track and build its
+// previous/next controls. update() re-checks which controls can be used and
+// should be called whenever the cards in the track change.
+// Its window listener is removed when options.signal aborts.
+export function createCarousel(track, options = {}) {
+  track.setAttribute('role', 'region');
+  track.setAttribute('aria-roledescription', 'carousel');
+  track.setAttribute('aria-label', t('carousel'));
+  // Focusable so arrow keys scroll the track natively
+  track.tabIndex = 0;
+
+  // Scroll by one card, gap included
+  const scrollByCard = (direction) => {
+    const item = track.firstElementChild;
+    if (!item) return;
+    const gap = parseFloat(getComputedStyle(track).columnGap) || 0;
+    track.scrollBy({
+      left: direction * (item.getBoundingClientRect().width + gap),
+      behavior: prefersReducedMotion() ? 'auto' : 'smooth',
+    });
+  };
+
+  const controls = document.createElement('div');
+  controls.className = 'spectrum-card-carousel-controls';
+  const prevButton = createCarouselButton(t('previousCards'), 'sp-icon-chevron-left', () => scrollByCard(-1));
+  const nextButton = createCarouselButton(t('nextCards'), 'sp-icon-chevron-right', () => scrollByCard(1));
+  controls.append(prevButton, nextButton);
+
+  const update = () => {
+    const maxScroll = track.scrollWidth - track.clientWidth;
+    prevButton.disabled = track.scrollLeft <= 0;
+    // Allow for sub-pixel scroll positions at the end of the track
+    nextButton.disabled = track.scrollLeft >= maxScroll - 1;
+    controls.hidden = maxScroll <= 0;
+  };
+
+  track.addEventListener('scroll', update, { passive: true });
+  window.addEventListener('resize', update, { signal: options.signal });
+
+  return { controls, update };
+}
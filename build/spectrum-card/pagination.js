@@ -0,0 +1,145 @@
+// Paged loading of large query indexes for the spectrum-card block
+import '@spectrum-web-components/action-group/sp-action-group.js';
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-chevron-left.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-chevron-right.js';
+import { createErrorAlert } from './errors.js';
+import { formatNumber, t } from './i18n.js';
+
+export const PAGING_MODES = {
+  NUMBERED: 'numbered',
+  INFINITE: 'infinite',
+};
+
+const PAGINATION_CONFIG = {
+  // Pages either side of the current page before the list collapses into an ellipsis
+  WINDOW_RADIUS: 1,
+  // Start loading the next page before the sentinel actually scrolls into view
+  SENTINEL_ROOT_MARGIN: '400px 0px',
+};
+
+// Add offset/limit to a query-index URL while keeping any existing parameters
+export function withPaging(url, offset, limit) {
+  const [path, search = ''] = url.split('?');
+  const params = new URLSearchParams(search);
+  params.set('offset', offset);
+  params.set('limit', limit);
+  return `${path}?${params}`;
+}
+
+// First, last and the pages around the current one; null marks a gap
+function getPageWindow(currentPage, totalPages) {
+  const pages = [];
+  for (let page = 1; page <= totalPages; page += 1) {
+    const nearCurrent = Math.abs(page - currentPage) <= PAGINATION_CONFIG.WINDOW_RADIUS;
+    if (page === 1 || page === totalPages || nearCurrent) {
+      pages.push(page);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
+}
+
+function createPageButton(label, page, onSelect, options = {}) {
+  const button = document.createElement('sp-action-button');
+  button.setAttribute('quiet', '');
+  button.setAttribute('size', 's');
+  if (options.icon) {
+    const icon = document.createElement(options.icon);
+    icon.setAttribute('slot', 'icon');
+    button.appendChild(icon);
+    button.setAttribute('label', label);
+  } else {
+    button.textContent = label;
+  }
+  if (options.selected) {
+    button.setAttribute('selected', '');
+    button.setAttribute('aria-current', 'page');
+  }
+  if (options.disabled) button.setAttribute('disabled', '');
+  button.addEventListener('click', () => onSelect(page));
+  return button;
+}
+
+// (Re-)fill the pagination nav for the current page
+export function renderPagination(nav, currentPage, totalPages, onSelect) {
+  nav.textContent = '';
+  nav.hidden = totalPages <= 1;
+  if (totalPages <= 1) return;
+
+  const group = document.createElement('sp-action-group');
+  group.setAttribute('size', 's');
+
+  group.appendChild(createPageButton(t('previousPage'), currentPage - 1, onSelect, {
+    icon: 'sp-icon-chevron-left',
+    disabled: currentPage === 1,
+  }));
+
+  getPageWindow(currentPage, totalPages).forEach((page) => {
+    if (page === null) {
+      const gap = document.createElement('span');
+      gap.className = 'spectrum-card-pagination-gap';
+      gap.textContent = '…';
+      gap.setAttribute('aria-hidden', 'true');
+      group.appendChild(gap);
+      return;
+    }
+    group.appendChild(createPageButton(formatNumber(page), page, onSelect, {
+      selected: page === currentPage,
+    }));
+  });
+
+  group.appendChild(createPageButton(t('nextPage'), currentPage + 1, onSelect, {
+    icon: 'sp-icon-chevron-right',
+    disabled: currentPage === totalPages,
+  }));
+
+  nav.appendChild(group);
+}
+
+// Sentinel element that calls loadMore() whenever it nears the viewport.
+// loadMore resolves to false once there is nothing left to load. A failed page
+// stops the loading until the alert shown in its place is retried. Loading stops
+// for good when options.signal aborts.
+export function createInfiniteLoader(loadMore, options = {}) {
+  const sentinel = document.createElement('div');
+  sentinel.className = 'spectrum-card-sentinel';
+  sentinel.setAttribute('role', 'status');
+
+  let loading = false;
+  const observer = new IntersectionObserver(async (entries) => {
+    if (loading || !entries.some((entry) => entry.isIntersecting)) return;
+
+    loading = true;
+    sentinel.textContent = t('loadingMore');
+    let hasMore;
+    try {
+      hasMore = await loadMore();
+    } catch (error) {
+      observer.unobserve(sentinel);
+      const alert = createErrorAlert(error, () => {
+        alert.remove();
+        observer.observe(sentinel);
+      }, { signal: options.signal });
+      sentinel.before(alert);
+      return;
+    } finally {
+      loading = false;
+      sentinel.textContent = '';
+    }
+
+    if (hasMore) {
+      // Re-observe so a sentinel that is still on screen triggers the next page
+      observer.unobserve(sentinel);
+      observer.observe(sentinel);
+    } else {
+      observer.disconnect();
+      sentinel.remove();
+    }
+  }, { rootMargin: PAGINATION_CONFIG.SENTINEL_ROOT_MARGIN });
+  if (options.signal) options.signal.addEventListener('abort', () => observer.disconnect());
+
+  observer.observe(sentinel);
+  return sentinel;
+}
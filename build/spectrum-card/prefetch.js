@@ -0,0 +1,102 @@
+// Predictive prefetching of modal content for the spectrum-card block.
+// A card's document is fetched ahead of time when its button is hovered or
+// focused, or once the card has stayed in view for a while.
+
+const PREFETCH_CONFIG = {
+  // How long a card has to stay in view before its content is prefetched
+  VIEWPORT_DWELL: 2000,
+  // Share of the card that has to be visible to count as in view
+  VIEWPORT_THRESHOLD: 0.5,
+  MAX_CONCURRENT: 2,
+  // Connections too slow to spend on content that may never be opened
+  SLOW_CONNECTIONS: ['slow-2g', '2g'],
+};
+
+// Prefetching is skipped when the visitor asked to save data or is on a slow connection
+function canPrefetch() {
+  const { connection } = navigator;
+  if (!connection) return true;
+  return !connection.saveData && !PREFETCH_CONFIG.SLOW_CONNECTIONS.includes(connection.effectiveType);
+}
+
+// Create a prefetcher around load(path), which should resolve once the path is cached.
+// watch(card, path) starts watching a card; hover and focus jump the queue
+// ahead of cards that were only seen in the viewport. disconnect() stops it.
+export function createPrefetcher(load) {
+  const queue = [];
+  const requested = new Set();
+  const dwellTimers = new Map();
+  let active = 0;
+
+  const next = () => {
+    while (active < PREFETCH_CONFIG.MAX_CONCURRENT && queue.length) {
+      const path = queue.shift();
+      active += 1;
+      load(path)
+        .catch((error) => {
+          // eslint-disable-next-line no-console
+          console.debug('[spectrum-card] prefetch failed for:', path, error);
+        })
+        .finally(() => {
+          active -= 1;
+          next();
+        });
+    }
+  };
+
+  const prefetch = (path, { urgent = false } = {}) => {
+    if (!path || !canPrefetch()) return;
+    if (requested.has(path)) {
+      // Already queued from the viewport: move it to the front
+      const queued = queue.indexOf(path);
+      if (urgent && queued > 0) queue.unshift(...queue.splice(queued, 1));
+      return;
+    }
+    requested.add(path);
+    if (urgent) {
+      queue.unshift(path);
+    } else {
+      queue.push(path);
+    }
+    next();
+  };
+
+  const observer = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        const card = entry.target;
+        if (entry.isIntersecting) {
+          dwellTimers.set(card, setTimeout(() => {
+            observer.unobserve(card);
+            dwellTimers.delete(card);
+            if (card.isConnected) prefetch(card.dataset.prefetchPath);
+          }, PREFETCH_CONFIG.VIEWPORT_DWELL));
+        } else {
+          clearTimeout(dwellTimers.get(card));
+          dwellTimers.delete(card);
+        }
+      });
+    }, { threshold: PREFETCH_CONFIG.VIEWPORT_THRESHOLD })
+    : null;
+
+  const watch = (card, path) => {
+    if (!path) return;
+    card.dataset.prefetchPath = path;
+    const button = card.querySelector('sp-button');
+    if (button) {
+      button.addEventListener('pointerenter', () => prefetch(path, { urgent: true }));
+      button.addEventListener('focus', () => prefetch(path, { urgent: true }));
+    }
+    if (observer) observer.observe(card);
+  };
+
+  // Requests already under way finish; nothing new is started
+  const disconnect = () => {
+    if (observer) observer.disconnect();
+    dwellTimers.forEach((timer) => clearTimeout(timer));
+    dwellTimers.clear();
+    queue.length = 0;
+  };
+
+  return { watch, disconnect };
+}
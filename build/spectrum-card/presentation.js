@@ -0,0 +1,249 @@
+// Full-screen presentation mode for the spectrum-card block
+import { t } from './i18n.js';
+import { setBackgroundImage } from './images.js';
+import { createThemeWrapper } from './theme.js';
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-chevron-left.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-chevron-right.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-play.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-pause.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-full-screen-exit.js';
+
+const PRESENTATION_CONFIG = {
+  // How often the auto-advance progress bar is updated
+  TICK_INTERVAL: 100,
+};
+
+function createControl(label, iconName, onClick) {
+  const button = document.createElement('sp-action-button');
+  button.setAttribute('quiet', '');
+  button.setAttribute('label', label);
+  button.setAttribute('title', label);
+  const icon = document.createElement(iconName);
+  icon.setAttribute('slot', 'icon');
+  button.appendChild(icon);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Present slides one per screen, starting at startIndex.
+// options.interval (ms) turns on auto-advance; options.loadContent(slide) resolves
+// to a slide's content HTML, or null, and options.renderContent(container, html)
+// puts it in the content area; options.onChange(index) reports every slide shown
+// other than silent goTo() calls; options.onExit(index) is called with the slide
+// that was showing when the presentation ended. options.theme wraps the
+// presentation in a matching sp-theme.
+export function startPresentation(slides, startIndex, options = {}) {
+  const numberOffset = options.numberOffset || 0;
+  const interval = options.interval || 0;
+  let currentIndex = startIndex;
+  let elapsed = 0;
+  let paused = !interval;
+  // Each slide load gets a token so a slow response cannot overwrite a newer slide
+  let loadToken = 0;
+  let timer = null;
+
+  const presentation = document.createElement('div');
+  presentation.className = 'spectrum-card-presentation';
+  presentation.setAttribute('role', 'dialog');
+  presentation.setAttribute('aria-modal', 'true');
+  presentation.setAttribute('aria-roledescription', 'presentation');
+  presentation.setAttribute('aria-labelledby', 'spectrum-card-presentation-title');
+  presentation.tabIndex = -1;
+
+  // Same background-image treatment as the modal: cover image under a dark gradient
+  const stage = document.createElement('div');
+  stage.className = 'spectrum-card-presentation-stage';
+
+  const slideContent = document.createElement('div');
+  slideContent.className = 'spectrum-card-presentation-slide';
+
+  const title = document.createElement('h1');
+  title.id = 'spectrum-card-presentation-title';
+  const description = document.createElement('p');
+  description.className = 'spectrum-card-presentation-description';
+  const contentArea = document.createElement('div');
+  contentArea.className = 'spectrum-card-presentation-content';
+
+  slideContent.append(title, description, contentArea);
+  stage.appendChild(slideContent);
+
+  const progress = document.createElement('div');
+  progress.className = 'spectrum-card-presentation-progress';
+  progress.hidden = !interval;
+  const progressBar = document.createElement('div');
+  progressBar.className = 'spectrum-card-presentation-progress-bar';
+  progress.appendChild(progressBar);
+
+  const controls = document.createElement('div');
+  controls.className = 'spectrum-card-presentation-controls';
+
+  const position = document.createElement('span');
+  position.className = 'spectrum-card-presentation-position';
+  position.setAttribute('aria-live', 'polite');
+
+  const prevButton = createControl(t('previousSlide'), 'sp-icon-chevron-left', () => goTo(currentIndex - 1));
+  const nextButton = createControl(t('nextSlide'), 'sp-icon-chevron-right', () => goTo(currentIndex + 1));
+  const pauseButton = createControl(t('pause'), 'sp-icon-pause', () => togglePause());
+  pauseButton.hidden = !interval;
+  const exitButton = createControl(t('exitPresentation'), 'sp-icon-full-screen-exit', () => exit());
+
+  controls.append(prevButton, pauseButton, nextButton, position, exitButton);
+  presentation.append(stage, progress, controls);
+
+  // Presented outside the block, so the theme has to be applied again here
+  const presentationRoot = options.theme ? createThemeWrapper(options.theme) : presentation;
+  if (presentationRoot !== presentation) presentationRoot.appendChild(presentation);
+
+  const updateProgress = () => {
+    progressBar.style.width = interval ? `${Math.min(elapsed / interval, 1) * 100}%` : '0';
+  };
+
+  const showSlide = (slideIndex) => {
+    currentIndex = slideIndex;
+    const slide = slides[slideIndex];
+    setBackgroundImage(stage, slide.image);
+    title.textContent = slide.title || '';
+    description.textContent = slide.description || '';
+    position.textContent = t('position', {
+      current: numberOffset + slideIndex + 1,
+      total: numberOffset + slides.length,
+    });
+    prevButton.disabled = slideIndex === 0;
+    nextButton.disabled = slideIndex === slides.length - 1;
+    contentArea.textContent = '';
+    loadToken += 1;
+    const token = loadToken;
+    if (options.loadContent) {
+      Promise.resolve(options.loadContent(slide))
+        .then((html) => {
+          if (token !== loadToken || !html || !presentation.isConnected) return undefined;
+          return options.renderContent(contentArea, html);
+        })
+        .catch((error) => {
+          // The slide keeps its title and description
+          // eslint-disable-next-line no-console
+          console.error('[spectrum-card] presentation content error:', error);
+        });
+    }
+    elapsed = 0;
+    updateProgress();
+  };
+
+  // silent skips onChange, for changes that came from another window
+  const goTo = (slideIndex, { silent = false } = {}) => {
+    if (slideIndex < 0 || slideIndex >= slides.length || slideIndex === currentIndex) return;
+    showSlide(slideIndex);
+    if (!silent && options.onChange) options.onChange(slideIndex);
+  };
+
+  const setPaused = (value) => {
+    paused = value;
+    const icon = document.createElement(paused ? 'sp-icon-play' : 'sp-icon-pause');
+    icon.setAttribute('slot', 'icon');
+    pauseButton.querySelector('[slot="icon"]').replaceWith(icon);
+    const label = paused ? t('resume') : t('pause');
+    pauseButton.setAttribute('label', label);
+    pauseButton.setAttribute('title', label);
+    presentation.classList.toggle('is-paused', paused);
+  };
+
+  const togglePause = () => {
+    if (interval) setPaused(!paused);
+  };
+
+  const tick = () => {
+    if (paused) return;
+    elapsed += PRESENTATION_CONFIG.TICK_INTERVAL;
+    if (elapsed >= interval) {
+      if (currentIndex < slides.length - 1) {
+        goTo(currentIndex + 1);
+      } else {
+        // Stop on the last slide rather than looping
+        elapsed = interval;
+        setPaused(true);
+      }
+    }
+    updateProgress();
+  };
+
+  const handleKeydown = (e) => {
+    switch (e.key) {
+    case 'ArrowRight':
+    case 'PageDown':
+    case ' ':
+      e.preventDefault();
+      goTo(currentIndex + 1);
+      break;
+    case 'ArrowLeft':
+    case 'PageUp':
+      e.preventDefault();
+      goTo(currentIndex - 1);
+      break;
+    case 'Home':
+      goTo(0);
+      break;
+    case 'End':
+      goTo(slides.length - 1);
+      break;
+    case 'p':
+    case 'k':
+      togglePause();
+      break;
+    case 'Escape':
+      // Browsers exit fullscreen on Escape themselves; this covers the fallback overlay
+      exit();
+      break;
+    default:
+      break;
+    }
+  };
+
+  // Leaving fullscreen by any route (Escape, browser UI) ends the presentation
+  const handleFullscreenChange = () => {
+    if (!document.fullscreenElement) exit();
+  };
+
+  const exit = () => {
+    if (!presentation.isConnected) return;
+    clearInterval(timer);
+    document.removeEventListener('keydown', handleKeydown);
+    document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    if (document.fullscreenElement === presentation && document.exitFullscreen) {
+      document.exitFullscreen().catch(() => {});
+    }
+    presentationRoot.remove();
+    document.body.style.overflow = '';
+    if (options.onExit) options.onExit(currentIndex);
+  };
+
+  document.body.appendChild(presentationRoot);
+  document.body.style.overflow = 'hidden';
+  document.addEventListener('keydown', handleKeydown);
+
+  // Fall back to a full-viewport overlay where the Fullscreen API is unavailable
+  if (presentation.requestFullscreen) {
+    presentation.requestFullscreen()
+      .then(() => document.addEventListener('fullscreenchange', handleFullscreenChange))
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.debug('[spectrum-card] fullscreen unavailable, presenting in page:', error);
+      });
+  }
+  presentation.focus();
+
+  showSlide(startIndex);
+  if (options.onChange) options.onChange(startIndex);
+  if (interval) {
+    setPaused(false);
+    timer = setInterval(tick, PRESENTATION_CONFIG.TICK_INTERVAL);
+  }
+
+  return {
+    goTo,
+    exit,
+    get index() {
+      return currentIndex;
+    },
+  };
+}
@@ -0,0 +1,238 @@
+// Presenter view with speaker notes for the spectrum-card block.
+// The presenter window is the same page opened with ?presenter=<source>; it
+// stays in step with the audience presentation through a BroadcastChannel.
+import '@spectrum-web-components/action-button/sp-action-button.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-chevron-left.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-chevron-right.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-refresh.js';
+import { t } from './i18n.js';
+import { setBackgroundImage } from './images.js';
+
+const PRESENTER_CONFIG = {
+  PARAM: 'presenter',
+  CHANNEL_PREFIX: 'spectrum-card:',
+  WINDOW_NAME: 'spectrum-card-presenter',
+  WINDOW_FEATURES: 'popup,width=1200,height=800',
+  NOTES_BLOCK: 'speaker-notes',
+  NOTES_HEADING: /^speaker\s+notes$/i,
+};
+
+// Split speaker notes out of a .plain.html document. Notes are either a
+// speaker-notes block or a "Speaker Notes" heading and everything after it in
+// its section. Returns the audience html without the notes, and the notes html.
+export function extractSpeakerNotes(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const notes = [];
+
+  template.content.querySelectorAll(`div.${PRESENTER_CONFIG.NOTES_BLOCK}`).forEach((notesBlock) => {
+    notes.push(notesBlock.innerHTML);
+    notesBlock.remove();
+  });
+
+  template.content.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((heading) => {
+    // Headings already collected as part of earlier notes are skipped
+    if (!template.content.contains(heading)) return;
+    if (!PRESENTER_CONFIG.NOTES_HEADING.test(heading.textContent.trim())) return;
+    const noteParts = [];
+    let sibling = heading.nextElementSibling;
+    while (sibling) {
+      const next = sibling.nextElementSibling;
+      noteParts.push(sibling.outerHTML);
+      sibling.remove();
+      sibling = next;
+    }
+    heading.remove();
+    notes.push(noteParts.join(''));
+  });
+
+  return { html: template.innerHTML, notes: notes.join('') };
+}
+
+// BroadcastChannel shared by every window presenting the same source.
+// Falls back to a no-op channel where BroadcastChannel is unsupported.
+export function createPresenterChannel(source) {
+  if (!('BroadcastChannel' in window)) {
+    return { post() {}, listen() {}, close() {} };
+  }
+  const channel = new BroadcastChannel(`${PRESENTER_CONFIG.CHANNEL_PREFIX}${source}`);
+  return {
+    post: (message) => channel.postMessage(message),
+    listen: (handler) => channel.addEventListener('message', (event) => handler(event.data)),
+    close: () => channel.close(),
+  };
+}
+
+// True when this page was opened as the presenter window for the given source
+export function isPresenterWindow(source) {
+  return new URLSearchParams(window.location.search).get(PRESENTER_CONFIG.PARAM) === source;
+}
+
+// Open this page as the presenter window, keeping the query string so facet
+// selections, and therefore the slide list, match the audience window
+export function openPresenterWindow(source) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(PRESENTER_CONFIG.PARAM, source);
+  url.searchParams.delete('slide');
+  return window.open(url, PRESENTER_CONFIG.WINDOW_NAME, PRESENTER_CONFIG.WINDOW_FEATURES);
+}
+
+function formatElapsed(milliseconds) {
+  const totalSeconds = Math.floor(milliseconds / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map((part) => part.toString().padStart(2, '0')).join(':');
+}
+
+function createSlidePreview(className, label) {
+  const preview = document.createElement('section');
+  preview.className = `spectrum-card-presenter-preview ${className}`;
+  preview.setAttribute('aria-label', label);
+
+  const heading = document.createElement('h2');
+  heading.className = 'spectrum-card-presenter-label';
+  heading.textContent = label;
+
+  const frame = document.createElement('div');
+  frame.className = 'spectrum-card-presenter-frame';
+  const title = document.createElement('h3');
+  const description = document.createElement('p');
+  frame.append(title, description);
+
+  preview.append(heading, frame);
+
+  const update = (slide) => {
+    if (slide) {
+      setBackgroundImage(frame, slide.image);
+    } else {
+      frame.style.backgroundImage = 'none';
+    }
+    title.textContent = slide ? slide.title || '' : t('endOfPresentation');
+    description.textContent = slide ? slide.description || '' : '';
+  };
+
+  return { preview, update };
+}
+
+function createControl(label, iconName, onClick) {
+  const button = document.createElement('sp-action-button');
+  button.setAttribute('label', label);
+  button.setAttribute('title', label);
+  const icon = document.createElement(iconName);
+  icon.setAttribute('slot', 'icon');
+  button.appendChild(icon);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Replace the block with the presenter view: current and next slide, speaker
+// notes and an elapsed timer. options.loadNotes(slide) resolves to { text } or
+// { html }; options.channel is the shared presenter channel. The keyboard
+// listener and timer stop when options.signal aborts.
+export function renderPresenterView(block, slides, options) {
+  const { channel } = options;
+  const numberOffset = options.numberOffset || 0;
+  let startTime = Date.now();
+  let currentIndex = -1;
+  let notesToken = 0;
+
+  const view = document.createElement('div');
+  view.className = 'spectrum-card-presenter';
+
+  const current = createSlidePreview('spectrum-card-presenter-current', t('currentSlide'));
+  const next = createSlidePreview('spectrum-card-presenter-next', t('nextSlide'));
+
+  const notesSection = document.createElement('section');
+  notesSection.className = 'spectrum-card-presenter-notes';
+  notesSection.setAttribute('aria-label', t('speakerNotes'));
+  const notesHeading = document.createElement('h2');
+  notesHeading.className = 'spectrum-card-presenter-label';
+  notesHeading.textContent = t('speakerNotes');
+  const notesContent = document.createElement('div');
+  notesContent.className = 'spectrum-card-presenter-notes-content';
+  notesSection.append(notesHeading, notesContent);
+
+  const timer = document.createElement('div');
+  timer.className = 'spectrum-card-presenter-timer';
+  const elapsed = document.createElement('span');
+  elapsed.setAttribute('role', 'timer');
+  elapsed.textContent = formatElapsed(0);
+  const resetButton = createControl(t('resetTimer'), 'sp-icon-refresh', () => {
+    startTime = Date.now();
+    elapsed.textContent = formatElapsed(0);
+  });
+  timer.append(elapsed, resetButton);
+
+  const controls = document.createElement('div');
+  controls.className = 'spectrum-card-presenter-controls';
+  const position = document.createElement('span');
+  position.className = 'spectrum-card-presenter-position';
+  position.setAttribute('aria-live', 'polite');
+  const prevButton = createControl(t('previousSlide'), 'sp-icon-chevron-left', () => goTo(currentIndex - 1));
+  const nextButton = createControl(t('nextSlide'), 'sp-icon-chevron-right', () => goTo(currentIndex + 1));
+  controls.append(prevButton, position, nextButton, timer);
+
+  view.append(current.preview, next.preview, notesSection, controls);
+
+  const showNotes = async (slide) => {
+    notesToken += 1;
+    const token = notesToken;
+    notesContent.textContent = '';
+    const notes = await options.loadNotes(slide);
+    if (token !== notesToken) return;
+    if (notes.html) {
+      notesContent.innerHTML = notes.html;
+    } else {
+      notesContent.textContent = notes.text || t('noSpeakerNotes');
+    }
+  };
+
+  const showSlide = (slideIndex) => {
+    currentIndex = slideIndex;
+    current.update(slides[slideIndex]);
+    next.update(slides[slideIndex + 1]);
+    position.textContent = t('position', {
+      current: numberOffset + slideIndex + 1,
+      total: numberOffset + slides.length,
+    });
+    prevButton.disabled = slideIndex === 0;
+    nextButton.disabled = slideIndex === slides.length - 1;
+    showNotes(slides[slideIndex]);
+  };
+
+  // Local navigation is broadcast so the audience window follows
+  const goTo = (slideIndex) => {
+    if (slideIndex < 0 || slideIndex >= slides.length || slideIndex === currentIndex) return;
+    showSlide(slideIndex);
+    channel.post({ type: 'goto', path: slides[slideIndex].path });
+  };
+
+  channel.listen((message) => {
+    if (!message || message.type !== 'goto') return;
+    const slideIndex = slides.findIndex((slide) => slide.path === message.path);
+    if (slideIndex > -1 && slideIndex !== currentIndex) showSlide(slideIndex);
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowRight' || e.key === 'PageDown' || e.key === ' ') {
+      e.preventDefault();
+      goTo(currentIndex + 1);
+    } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+      e.preventDefault();
+      goTo(currentIndex - 1);
+    }
+  }, { signal: options.signal });
+
+  const timerInterval = setInterval(() => {
+    elapsed.textContent = formatElapsed(Date.now() - startTime);
+  }, 1000);
+  if (options.signal) options.signal.addEventListener('abort', () => clearInterval(timerInterval));
+
+  block.textContent = '';
+  block.appendChild(view);
+
+  showSlide(0);
+  // Ask a presentation that is already running which slide it is on
+  channel.post({ type: 'hello' });
+}
@@ -0,0 +1,117 @@
+// Share actions for the spectrum-card block: copy a deep link, share through
+// the Web Share API, or open the card's page. Used on cards and in the modal.
+import '@spectrum-web-components/action-menu/sp-action-menu.js';
+import '@spectrum-web-components/menu/sp-menu-item.js';
+import '@spectrum-web-components/toast/sp-toast.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-link.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-share.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-open-in.js';
+import { t } from './i18n.js';
+import { createThemeWrapper } from './theme.js';
+
+const SHARE_ACTIONS = {
+  COPY_LINK: 'copy-link',
+  SHARE: 'share',
+  OPEN_PAGE: 'open-page',
+};
+
+const TOAST_CONFIG = {
+  // sp-toast does not accept less than 6 seconds
+  TIMEOUT: 6000,
+};
+
+let currentToast = null;
+
+// Spectrum toast at the bottom of the viewport; a new toast replaces the one showing
+export function showToast(message, variant, theme) {
+  if (currentToast) currentToast.remove();
+
+  const region = document.createElement('div');
+  region.className = 'spectrum-card-toast-region';
+  const toast = document.createElement('sp-toast');
+  toast.setAttribute('variant', variant);
+  toast.setAttribute('timeout', TOAST_CONFIG.TIMEOUT);
+  toast.textContent = message;
+  toast.open = true;
+  region.appendChild(toast);
+
+  // Shown outside the block, so the theme has to be applied again here
+  const toastRoot = theme ? createThemeWrapper(theme) : region;
+  if (toastRoot !== region) toastRoot.appendChild(region);
+  toast.addEventListener('close', () => {
+    toastRoot.remove();
+    if (currentToast === toastRoot) currentToast = null;
+  });
+
+  document.body.appendChild(toastRoot);
+  currentToast = toastRoot;
+}
+
+async function copyLink(url, theme) {
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast(t('linkCopied'), 'positive', theme);
+  } catch (error) {
+    // No clipboard access, e.g. over plain http or when the page is not focused
+    showToast(t('copyFailed'), 'negative', theme);
+  }
+}
+
+async function share(target, theme) {
+  const data = { title: target.title, text: target.text, url: target.url };
+  if (!navigator.share || (navigator.canShare && !navigator.canShare(data))) {
+    await copyLink(target.url, theme);
+    return;
+  }
+  try {
+    await navigator.share(data);
+  } catch (error) {
+    // The visitor closed the share sheet
+    if (error.name === 'AbortError') return;
+    await copyLink(target.url, theme);
+  }
+}
+
+function createMenuItem(value, label, iconName) {
+  const item = document.createElement('sp-menu-item');
+  item.setAttribute('value', value);
+  const icon = document.createElement(iconName);
+  icon.setAttribute('slot', 'icon');
+  item.append(icon, label);
+  return item;
+}
+
+// Action menu with Copy link, Share and Open page. getTarget() returns what to
+// share at the time of the action: { title, text, url, pagePath }, where url is
+// the deep link and pagePath the card's own page. options.theme themes the
+// toasts and options.placement positions the menu, e.g. "bottom-end".
+export function createShareMenu(getTarget, options = {}) {
+  const menu = document.createElement('sp-action-menu');
+  menu.className = 'spectrum-card-share';
+  menu.setAttribute('quiet', '');
+  menu.setAttribute('label', t('shareActions'));
+  menu.setAttribute('title', t('shareActions'));
+  if (options.placement) menu.setAttribute('placement', options.placement);
+
+  menu.append(
+    createMenuItem(SHARE_ACTIONS.COPY_LINK, t('copyLink'), 'sp-icon-link'),
+    createMenuItem(SHARE_ACTIONS.SHARE, t('share'), 'sp-icon-share'),
+    createMenuItem(SHARE_ACTIONS.OPEN_PAGE, t('openPage'), 'sp-icon-open-in'),
+  );
+
+  menu.addEventListener('change', (event) => {
+    // Not a change of the card's own selection or favorite state
+    event.stopPropagation();
+    // The menu keeps no selection, so its value is only set during the event
+    const target = getTarget();
+    if (menu.value === SHARE_ACTIONS.COPY_LINK) {
+      copyLink(target.url, options.theme);
+    } else if (menu.value === SHARE_ACTIONS.SHARE) {
+      share(target, options.theme);
+    } else if (menu.value === SHARE_ACTIONS.OPEN_PAGE) {
+      window.location.assign(target.pagePath);
+    }
+  });
+
+  return menu;
+}
@@ -3,9 +3,96 @@ import '@spectrum-web-components/theme/sp-theme.js';
 import '@spectrum-web-components/theme/theme-light.js';
 import '@spectrum-web-components/theme/scale-medium.js';
 import '@spectrum-web-components/card/sp-card.js';
+import '@spectrum-web-components/progress-circle/sp-progress-circle.js';
 import '@spectrum-web-components/button/sp-button.js';
 import '@spectrum-web-components/icons-workflow/icons/sp-icon-arrow-right.js';
 import '@spectrum-web-components/icons-workflow/icons/sp-icon-close.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-full-screen.js';
+import '@spectrum-web-components/icons-workflow/icons/sp-icon-note.js';
+import {
+  createFilterBar,
+  matchesFacets,
+  readFacetSelections,
+  splitCellValues,
+  toFacetSelections,
+  writeFacetSelections,
+} from './facets.js';
+import {
+  RUM_CHECKPOINTS,
+  createDwellTracker,
+  createImpressionTracker,
+  trackCheckpoint,
+  trackLoadError,
+} from './analytics.js';
+import { cachedFetch, evictEntries, evictEntry } from './cache.js';
+import { COMPARE_CONFIG, createSelectionBar, showComparison } from './compare.js';
+import { loadEds } from './eds.js';
+import { ParseError, createErrorAlert } from './errors.js';
+import { EVENTS, emit } from './events.js';
+import {
+  EXPORT_FORMATS,
+  createExportMenu,
+  downloadFile,
+  getExportColumns,
+  getExportName,
+  toCsv,
+  toJson,
+} from './export.js';
+import {
+  createFavoriteButton,
+  createFavoritesStore,
+  createSavedOnlyToggle,
+  updateFavoriteButton,
+} from './favorites.js';
+import {
+  CARD_SLOTS,
+  getMappedColumns,
+  loadFieldMapping,
+  mapCardFields,
+  parseFieldMapping,
+  toSlide,
+} from './fields.js';
+import { createHandout, printHandout } from './handout.js';
+import {
+  formatNumber,
+  loadStrings,
+  t,
+} from './i18n.js';
+import { CARD_IMAGE_BREAKPOINTS, createCardPicture, setBackgroundImage } from './images.js';
+import {
+  LAYOUTS,
+  createCarousel,
+  getLayout,
+  parseLayout,
+} from './layouts.js';
+import {
+  PAGING_MODES,
+  createInfiniteLoader,
+  renderPagination,
+  withPaging,
+} from './pagination.js';
+import { createPrefetcher } from './prefetch.js';
+import { startPresentation } from './presentation.js';
+import {
+  createPresenterChannel,
+  extractSpeakerNotes,
+  isPresenterWindow,
+  openPresenterWindow,
+  renderPresenterView,
+} from './presenter.js';
+import { createShareMenu, showToast } from './share.js';
+import {
+  TEMPLATES,
+  decorateTemplate,
+  getTemplate,
+  getTemplateFields,
+} from './templates.js';
+import {
+  createThemeWrapper,
+  loadTheme,
+  parseTheme,
+  resolveTheme,
+} from './theme.js';
 
 // Configuration
 const SPECTRUM_CARD_CONFIG = {
@@ -13,10 +100,9 @@ const SPECTRUM_CARD_CONFIG = {
   BUTTON_TREATMENT: 'accent',
   BUTTON_SIZE: 'm',
   MAX_WIDTH: '400px',
-  DEFAULT_TITLE: 'Card Title',
-  DEFAULT_DESCRIPTION: 'Card description',
-  DEFAULT_BUTTON_TEXT: 'Learn More',
   QUERY_INDEX_PATH: '/slides/query-index.json', // Default path, can be overridden
+  PAGE_SIZE: 12, // Rows per request when paging is enabled
+  SKELETON_COUNT: 6, // Placeholder cards while an unpaged index loads
 };
 
 // Environment-specific configuration
@@ -27,40 +113,300 @@ const getConfig = () => {
   };
 };
 
-// Fetch content from EDS query-index.json
-async function fetchCardData(queryPath) {
+// readBlockConfig returns an array when a cell holds several paragraphs
+const asList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+const firstValue = (value) => asList(value)[0] || '';
+const isEnabled = (value) => ['true', 'yes', 'on', '1'].includes(firstValue(value).trim().toLowerCase());
+
+// Links in the source cell come back as absolute URLs; keep same-origin ones relative
+// so the dev proxy and production both resolve them
+function toSourcePath(value) {
+  const url = new URL(value.trim(), window.location.href);
+  return url.origin === window.location.origin ? `${url.pathname}${url.search}` : url.href;
+}
+
+// Parse "column", "column asc" or "column desc"
+function parseSort(value) {
+  const [key, direction = 'asc'] = value.trim().split(/\s+/);
+  if (!key) return null;
+  return { key, direction: direction.toLowerCase() === 'desc' ? 'desc' : 'asc' };
+}
+
+// Parse "column=value" entries, one per paragraph or separated by semicolons
+function parseFilters(value) {
+  return asList(value)
+    .flatMap((entry) => entry.split(';'))
+    .map((entry) => {
+      const [key, ...rest] = entry.split('=');
+      return { key: key.trim(), value: rest.join('=').trim() };
+    })
+    .filter(({ key, value: filterValue }) => key && filterValue);
+}
+
+// Build the block configuration from authored key/value pairs: the block's rows,
+// or the custom element's attributes. Values are text, or lists of text for
+// cells with several paragraphs. Anything left out falls back to SPECTRUM_CARD_CONFIG.
+function getBlockConfig(authored) {
+  const config = {
+    source: SPECTRUM_CARD_CONFIG.QUERY_INDEX_PATH,
+    limit: 0,
+    sort: null,
+    filters: [],
+    facets: [],
+    paging: '',
+    pageSize: SPECTRUM_CARD_CONFIG.PAGE_SIZE,
+    present: false,
+    autoAdvance: 0,
+    // Cards get a checkbox, and the selection can be compared side by side
+    selectable: false,
+    // Cards get a star, and the toolbar a toggle for saved cards only
+    favorites: false,
+    // Formats the toolbar's Export menu offers, from EXPORT_FORMATS
+    export: [],
+    theme: { color: '', scale: '' },
+    layout: parseLayout(firstValue(authored.layout)),
+    // Seconds; undefined leaves it to Cache-Control or the cache's default
+    cacheTtl: undefined,
+    template: TEMPLATES.DEFAULT,
+    // Block overrides for the field mapping, and an optional shared mapping file
+    fields: {},
+    fieldsSource: '',
+    // Empty falls back to the localized "Read More"
+    buttonText: '',
+    cardVariant: SPECTRUM_CARD_CONFIG.CARD_VARIANT,
+    buttonTreatment: SPECTRUM_CARD_CONFIG.BUTTON_TREATMENT,
+    maxWidth: SPECTRUM_CARD_CONFIG.MAX_WIDTH,
+  };
+
+  if (firstValue(authored.source)) config.source = toSourcePath(firstValue(authored.source));
+
+  const limit = parseInt(firstValue(authored.limit), 10);
+  if (limit > 0) config.limit = limit;
+
+  if (firstValue(authored.sort)) config.sort = parseSort(firstValue(authored.sort));
+  if (authored.filter) config.filters = parseFilters(authored.filter);
+  if (authored.facets) {
+    config.facets = asList(authored.facets).flatMap((entry) => splitCellValues(entry));
+  }
+
+  const paging = firstValue(authored.paging).trim().toLowerCase();
+  if (Object.values(PAGING_MODES).includes(paging)) config.paging = paging;
+
+  const pageSize = parseInt(firstValue(authored['page-size']), 10);
+  if (pageSize > 0) config.pageSize = pageSize;
+
+  config.present = isEnabled(authored.present);
+  // Auto-advance is authored in seconds and kept in milliseconds
+  const autoAdvance = parseFloat(firstValue(authored['auto-advance']));
+  if (autoAdvance > 0) config.autoAdvance = autoAdvance * 1000;
+  config.selectable = isEnabled(authored.selectable);
+  config.favorites = isEnabled(authored.favorites);
+  if (authored.export) {
+    const formats = Object.values(EXPORT_FORMATS);
+    config.export = asList(authored.export)
+      .flatMap((entry) => splitCellValues(entry))
+      .map((format) => format.toLowerCase())
+      .filter((format) => formats.includes(format));
+  }
+
+  // Same "dark, large" form as the page's theme metadata
+  if (authored.theme) config.theme = parseTheme(asList(authored.theme).join(','));
+
+  const cacheTtl = parseFloat(firstValue(authored['cache-ttl']));
+  if (cacheTtl >= 0) config.cacheTtl = cacheTtl;
+
+  // The template comes first, as it adds slots the block's fields can map
+  config.template = getTemplate(firstValue(authored.template));
+  if (authored.fields) {
+    const slots = [...CARD_SLOTS, ...Object.keys(getTemplateFields(config.template))];
+    config.fields = parseFieldMapping(asList(authored.fields), slots);
+  }
+  if (firstValue(authored['field-mapping'])) config.fieldsSource = toSourcePath(firstValue(authored['field-mapping']));
+
+  if (firstValue(authored['button-text'])) config.buttonText = firstValue(authored['button-text']).trim();
+  if (authored['card-variant'] !== undefined) {
+    // "standard" is accepted as an explicit way to ask for no variant attribute
+    const variant = firstValue(authored['card-variant']).trim().toLowerCase();
+    config.cardVariant = variant === 'standard' ? '' : variant;
+  }
+  if (firstValue(authored['button-treatment'])) {
+    config.buttonTreatment = firstValue(authored['button-treatment']).trim().toLowerCase();
+  }
+  if (firstValue(authored['max-width'])) config.maxWidth = firstValue(authored['max-width']).trim();
+
+  return config;
+}
+
+// A filter matches when any comma-separated value in the cell equals the filter value
+function matchesFilter(cellValue, filterValue) {
+  const expected = filterValue.toLowerCase();
+  return splitCellValues(cellValue).some((part) => part.toLowerCase() === expected);
+}
+
+// Rows that pass the author's fixed filters, before any visitor facet selection
+function matchesAuthoredFilters(row, config) {
+  return config.filters.every(({ key, value }) => matchesFilter(row[key], value));
+}
+
+// Apply the authored filter, visitor facet selections, sort and limit to the fetched rows
+function applyDataOptions(data, config, facetSelections = {}) {
+  let rows = data.filter((row) => matchesAuthoredFilters(row, config) && matchesFacets(row, facetSelections));
+
+  if (config.sort) {
+    const { key, direction } = config.sort;
+    const modifier = direction === 'desc' ? -1 : 1;
+    rows = [...rows].sort((a, b) => modifier * (a[key] || '').toString()
+      .localeCompare((b[key] || '').toString(), undefined, { numeric: true }));
+  }
+
+  if (config.limit > 0) {
+    rows = rows.slice(0, config.limit);
+  }
+
+  return rows;
+}
+
+// Query parameter recording the slide open in the modal, e.g. ?slide=/slides/slide-3
+const SLIDE_PARAM = 'slide';
+
+// Each block on a page has its own slide parameter, so a link opens only its
+// modal: "slide" for the first block, then "slide-2", "slide-3" in page order
+function getSlideParam(block) {
+  const roots = [...document.querySelectorAll('.spectrum-card, eds-spectrum-card')]
+    .filter((element) => !element.parentElement.closest('.spectrum-card, eds-spectrum-card'));
+  const position = roots.indexOf(block.parentElement.closest('.spectrum-card') || block);
+  return position > 0 ? `${SLIDE_PARAM}-${position + 1}` : SLIDE_PARAM;
+}
+
+// Current page URL with the open slide set in param, or removed when path is null
+function getSlideUrl(param, path) {
+  const url = new URL(window.location.href);
+  if (path) {
+    url.searchParams.set(param, path);
+  } else {
+    url.searchParams.delete(param);
+  }
+  return url;
+}
+
+// What the share menu shares for a slide: a link that reopens the modal on it,
+// and its own page for Open page
+function getShareTarget(slide, param) {
+  return {
+    title: slide.title,
+    text: slide.description,
+    url: getSlideUrl(param, slide.path).href,
+    pagePath: slide.path,
+  };
+}
+
+// Number of history entries pushed since the modal was opened
+function getSlideHistoryDepth() {
+  return (window.history.state && window.history.state.spectrumCardDepth) || 0;
+}
+
+// Fetch and parse an EDS query-index.json response, or null when the request fails.
+// options.ttl and options.onUpdate(json) are passed on to the cache, so a
+// revalidated index that has changed is reported after the cached one is returned.
+// Failures are thrown as the typed errors from errors.js.
+async function fetchQueryIndex(url, options = {}) {
   try {
-    const { baseUrl } = getConfig();
-    const url = `${baseUrl}${queryPath}`;
-    
     // eslint-disable-next-line no-console
     console.debug('[spectrum-card] fetching data from:', url);
     
-    const response = await fetch(url, {
-      mode: 'cors',
-      headers: {
-        'Accept': 'application/json',
-      }
+    const body = await cachedFetch(url, {
+      accept: 'application/json',
+      ttl: options.ttl,
+      onUpdate: options.onUpdate && ((updated) => options.onUpdate(JSON.parse(updated))),
     });
     
-    if (!response.ok) {
-      throw new Error(`Failed to fetch card data: ${response.status}`);
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch (error) {
+      // Not cached any longer, so Retry fetches it again
+      evictEntry(url);
+      throw new ParseError(url, { cause: error });
     }
-    
-    const json = await response.json();
     // eslint-disable-next-line no-console
     console.debug('[spectrum-card] fetched data:', json);
     
-    return json.data || [];
+    return json;
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('[spectrum-card] fetch error:', error);
-    return [];
+    trackLoadError(url);
+    throw error;
+  }
+}
+
+// Fetch content from EDS query-index.json; options.onUpdate(data) receives newer rows
+async function fetchCardData(queryPath, options = {}) {
+  const { baseUrl } = getConfig();
+  const json = await fetchQueryIndex(`${baseUrl}${queryPath}`, {
+    ttl: options.ttl,
+    onUpdate: options.onUpdate && ((updated) => options.onUpdate(updated.data || [])),
+  });
+  return json.data || [];
+}
+
+// Fetch a single page of the index; EDS reports the full row count in `total`.
+// options.onUpdate(data) receives the page's rows if they have changed.
+async function fetchCardPage(queryPath, offset, limit, options = {}) {
+  const { baseUrl } = getConfig();
+  const json = await fetchQueryIndex(withPaging(`${baseUrl}${queryPath}`, offset, limit), {
+    ttl: options.ttl,
+    onUpdate: options.onUpdate && ((updated) => options.onUpdate(updated.data || [])),
+  });
+  const data = json.data || [];
+  return { data, total: parseInt(json.total, 10) || offset + data.length };
+}
+
+// Attributes that can carry media or link URLs in a .plain.html document
+const URL_ATTRIBUTES = ['src', 'href', 'poster'];
+
+// Resolve a URL from a .plain.html document against the page it came from.
+// Anything under a media/ folder keeps pointing at the site-wide /media/ location.
+// URLs on this site are left root-relative unless options.absolute is set.
+function resolveDocumentUrl(value, documentUrl, baseUrl, options = {}) {
+  const trimmed = value.trim();
+  // Leave absolute URLs, protocol-relative URLs, data:/mailto: links and in-page anchors alone
+  if (!trimmed || trimmed.startsWith('#') || /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(trimmed)) {
+    return trimmed;
+  }
+  const mediaFolder = trimmed.match(/^(?:\.{1,2}\/)*media\/(.*)$/);
+  if (mediaFolder) {
+    return `${baseUrl}/media/${mediaFolder[1]}`;
   }
+  const resolved = new URL(trimmed, documentUrl);
+  return resolved.origin === window.location.origin && !options.absolute
+    ? `${resolved.pathname}${resolved.search}${resolved.hash}`
+    : resolved.href;
+}
+
+// Rewrite every relative src, srcset, href and poster in a parsed document fragment
+function rewriteDocumentUrls(fragment, documentUrl, baseUrl, options = {}) {
+  const resolve = (value) => resolveDocumentUrl(value, documentUrl, baseUrl, options);
+  URL_ATTRIBUTES.forEach((attribute) => {
+    fragment.querySelectorAll(`[${attribute}]`).forEach((element) => {
+      element.setAttribute(attribute, resolve(element.getAttribute(attribute)));
+    });
+  });
+  // srcset holds comma-separated "url descriptor" candidates
+  fragment.querySelectorAll('[srcset]').forEach((element) => {
+    const srcset = element.getAttribute('srcset')
+      .split(',')
+      .map((candidate) => {
+        const [candidateUrl, ...descriptors] = candidate.trim().split(/\s+/);
+        return [resolve(candidateUrl), ...descriptors].join(' ');
+      })
+      .join(', ');
+    element.setAttribute('srcset', srcset);
+  });
 }
 
-// Fetch plain HTML content for modal display
-async function fetchPlainHtml(path) {
+// Fetch plain HTML content for modal display, through the cache
+async function fetchPlainHtml(path, ttl) {
   try {
     const { baseUrl } = getConfig();
     const url = `${baseUrl}${path}.plain.html`;
@@ -68,28 +414,15 @@ async function fetchPlainHtml(path) {
     // eslint-disable-next-line no-console
     console.debug('[spectrum-card] fetching plain HTML from:', url);
     
-    const response = await fetch(url, {
-      mode: 'cors',
-      headers: {
-        'Accept': 'text/html',
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch plain HTML: ${response.status}`);
-    }
-    
-    const html = await response.text();
+    const html = await cachedFetch(url, { accept: 'text/html', ttl });
     
-    // Fix relative image paths in the HTML content
-    let fixedHtml = html;
+    // Fix relative media and link paths in the HTML content. A template is used
+    // so images are not requested while the markup is being rewritten.
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    rewriteDocumentUrls(template.content, new URL(`${baseUrl}${path}`, window.location.href), baseUrl);
     
-    // Fix various relative path patterns
-    fixedHtml = fixedHtml.replace(/src="\.\/media\//g, `src="${baseUrl}/media/`);
-    fixedHtml = fixedHtml.replace(/src="media\//g, `src="${baseUrl}/media/`);
-    fixedHtml = fixedHtml.replace(/src="\.\.\/media\//g, `src="${baseUrl}/media/`);
-    
-    return fixedHtml;
+    return template.innerHTML;
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('[spectrum-card] plain HTML fetch error:', error);
@@ -97,8 +430,60 @@ async function fetchPlainHtml(path) {
   }
 }
 
-// Create and show modal overlay with content
-function showContentModal(cardData, index) {
+// Warm the cache with a slide's .plain.html so its modal opens without waiting
+function prefetchPlainHtml(path, ttl) {
+  const { baseUrl } = getConfig();
+  return cachedFetch(`${baseUrl}${path}.plain.html`, { accept: 'text/html', ttl });
+}
+
+// Render a .plain.html document through the standard EDS decoration pipeline,
+// so headings, lists, images, tables and embedded blocks keep their structure.
+// Outside EDS there is no pipeline, and the document is shown as it is.
+async function renderPlainHtml(container, html) {
+  const main = document.createElement('div');
+  main.className = 'spectrum-card-modal-document';
+  // Speaker notes are for the presenter view only
+  main.innerHTML = extractSpeakerNotes(html).html;
+  
+  const eds = await loadEds();
+  if (eds) {
+    eds.decorateButtons(main);
+    eds.decorateIcons(main);
+    eds.decorateSections(main);
+    eds.decorateBlocks(main);
+  }
+  
+  container.innerHTML = '';
+  container.appendChild(main);
+  
+  // Sections stay hidden until their blocks have loaded
+  if (eds) await eds.loadSections(main);
+}
+
+// Minimum horizontal travel, in pixels, for a touch gesture to count as a swipe
+const SWIPE_THRESHOLD = 50;
+
+// Speaker notes come from a notes column in the index, or from the slide's .plain.html
+async function loadSpeakerNotes(slide, cacheTtl) {
+  if (slide.notes) return { text: slide.notes };
+  const html = slide.path ? await fetchPlainHtml(slide.path, cacheTtl) : null;
+  return { html: html ? extractSpeakerNotes(html).notes : '' };
+}
+
+// Create and show modal overlay with content.
+// slides is the list of rows currently shown in the grid so the modal can step
+// through them. options.numberOffset and options.total keep the position indicator
+// in line with the card badges; options.onNavigate(index) and options.onClose()
+// report user-driven changes so the block can keep the URL in sync.
+// options.onShow(index), options.onHide(index) and options.onLoadError(index)
+// report every slide shown, the slide the modal closed on and content that failed.
+// options.theme wraps the overlay in a matching sp-theme, options.cacheTtl is
+// passed on to the content fetches and options.slideParam names the share link's parameter.
+// Returns a controller: goTo(index, { silent }) and close({ silent }).
+function showContentModal(slides, index, options = {}) {
+  const cardData = slides[index];
+  const numberOffset = options.numberOffset || 0;
+  const total = options.total || numberOffset + slides.length;
   try {
     // Create modal overlay with enhanced glassmorphism
     const overlay = document.createElement('div');
@@ -110,9 +495,7 @@ function showContentModal(cardData, index) {
     const modal = document.createElement('div');
     modal.className = 'spectrum-card-modal';
     
-    // Set background image with fallback
-    const backgroundImage = cardData.image || 'https://images.unsplash.com/photo-1513635269975-59663e0ac1ad?ixlib=rb-4.0.3&auto=format&fit=crop&w=2340&q=80';
-    modal.style.backgroundImage = `url(${backgroundImage})`;
+    // Background image is set per slide, see showSlide below
     modal.style.backgroundSize = 'cover';
     modal.style.backgroundPosition = 'center';
     modal.style.backgroundRepeat = 'no-repeat';
@@ -129,7 +512,7 @@ function showContentModal(cardData, index) {
     // Create slide number badge with enhanced glassmorphism
     const slideNumberBadge = document.createElement('div');
     slideNumberBadge.className = 'spectrum-card-slide-badge';
-    slideNumberBadge.textContent = (index + 1).toString();
+    slideNumberBadge.setAttribute('aria-live', 'polite');
     slideNumberBadge.style.position = 'absolute';
     slideNumberBadge.style.top = '1.5rem';
     slideNumberBadge.style.left = '1.5rem';
@@ -137,8 +520,11 @@ function showContentModal(cardData, index) {
     slideNumberBadge.style.backdropFilter = 'blur(15px)';
     slideNumberBadge.style.webkitBackdropFilter = 'blur(15px)';
     slideNumberBadge.style.color = 'white';
-    slideNumberBadge.style.borderRadius = '50%';
-    slideNumberBadge.style.width = '3rem';
+    // Pill shape so the "3 of 12" position indicator fits
+    slideNumberBadge.style.borderRadius = '1.5rem';
+    slideNumberBadge.style.minWidth = '3rem';
+    slideNumberBadge.style.padding = '0 1rem';
+    slideNumberBadge.style.boxSizing = 'border-box';
     slideNumberBadge.style.height = '3rem';
     slideNumberBadge.style.display = 'flex';
     slideNumberBadge.style.alignItems = 'center';
@@ -153,7 +539,7 @@ function showContentModal(cardData, index) {
     const closeButton = document.createElement('button');
     closeButton.className = 'spectrum-card-close-button';
     closeButton.innerHTML = '×';
-    closeButton.setAttribute('aria-label', 'Close modal');
+    closeButton.setAttribute('aria-label', t('closeModal'));
     closeButton.style.position = 'absolute';
     closeButton.style.top = '1.5rem';
     closeButton.style.right = '1.5rem';
@@ -185,10 +571,20 @@ function showContentModal(cardData, index) {
       closeButton.style.transform = 'scale(1)';
     });
 
+    // Previous/next slide controls
+    const createNavButton = (direction, label, symbol) => {
+      const navButton = document.createElement('button');
+      navButton.className = `spectrum-card-nav-button spectrum-card-nav-${direction}`;
+      navButton.innerHTML = symbol;
+      navButton.setAttribute('aria-label', label);
+      return navButton;
+    };
+    const prevButton = createNavButton('prev', t('previousSlide'), '&lsaquo;');
+    const nextButton = createNavButton('next', t('nextSlide'), '&rsaquo;');
+
     // Create title with enhanced styling
     const title = document.createElement('h1');
     title.id = 'modal-title';
-    title.textContent = cardData.title || SPECTRUM_CARD_CONFIG.DEFAULT_TITLE;
     title.style.margin = '0 0 1.5rem 0';
     title.style.fontSize = '3rem';
     title.style.fontWeight = '700';
@@ -202,7 +598,6 @@ function showContentModal(cardData, index) {
 
     // Create subtitle with enhanced styling
     const subtitle = document.createElement('p');
-    subtitle.textContent = cardData.description || SPECTRUM_CARD_CONFIG.DEFAULT_DESCRIPTION;
     subtitle.style.margin = '0 0 2rem 0';
     subtitle.style.fontSize = '1.25rem';
     subtitle.style.fontWeight = '500';
@@ -222,22 +617,33 @@ function showContentModal(cardData, index) {
     contentArea.style.maxHeight = '300px';
     contentArea.style.overflowY = 'auto';
 
-    // Add loading state
-    contentArea.innerHTML = '<p style="color: rgba(255, 255, 255, 0.7); font-style: italic;">Loading content...</p>';
-
     // Add all content to the main content container
     content.appendChild(title);
     content.appendChild(subtitle);
     content.appendChild(contentArea);
 
+    // Share actions for whichever slide is showing, beside the close button
+    const shareMenu = createShareMenu(() => getShareTarget(slides[currentIndex], options.slideParam), {
+      theme: options.theme,
+      placement: 'bottom-end',
+    });
+    shareMenu.classList.add('spectrum-card-modal-share');
+
     // Assemble the modal structure
     modal.appendChild(content);
     modal.appendChild(slideNumberBadge);
+    modal.appendChild(shareMenu);
     modal.appendChild(closeButton);
+    modal.appendChild(prevButton);
+    modal.appendChild(nextButton);
     overlay.appendChild(modal);
 
+    // The overlay lives outside the block, so it gets its own sp-theme
+    const modalRoot = options.theme ? createThemeWrapper(options.theme) : overlay;
+    if (modalRoot !== overlay) modalRoot.appendChild(overlay);
+
     // Add to document
-    document.body.appendChild(overlay);
+    document.body.appendChild(modalRoot);
     document.body.style.overflow = 'hidden'; // Prevent background scrolling
     
     // Ensure modal visibility with essential inline styles
@@ -254,89 +660,248 @@ function showContentModal(cardData, index) {
     overlay.style.alignItems = 'center';
     overlay.style.justifyContent = 'center';
 
-    // Close modal function
-    const closeModal = () => {
-      document.body.removeChild(overlay);
+    // Status text in the content area; placeholders are set as text, never as markup
+    const showMessage = (message) => {
+      const messageParagraph = document.createElement('p');
+      messageParagraph.style.color = 'rgba(255, 255, 255, 0.7)';
+      messageParagraph.style.fontStyle = 'italic';
+      messageParagraph.textContent = message;
+      contentArea.replaceChildren(messageParagraph);
+    };
+
+    // Spinner in the content area while a slide's document loads
+    const showProgress = () => {
+      const progressWrapper = document.createElement('div');
+      progressWrapper.className = 'spectrum-card-modal-progress';
+      const progress = document.createElement('sp-progress-circle');
+      progress.setAttribute('indeterminate', '');
+      progress.setAttribute('size', 'l');
+      progress.setAttribute('static', 'white');
+      progress.setAttribute('label', t('loadingContent'));
+      progressWrapper.appendChild(progress);
+      contentArea.replaceChildren(progressWrapper);
+    };
+
+    // Each slide load gets a token so a slow response cannot overwrite a newer slide
+    let currentIndex = index;
+    let loadToken = 0;
+    // Opens, closes and dwell time are reported per slide
+    const dwell = createDwellTracker();
+
+    // Show a slide's background, text and content in the already open modal
+    const showSlide = (slideIndex) => {
+      currentIndex = slideIndex;
+      const slide = slides[slideIndex];
+      const slideNumber = numberOffset + slideIndex + 1;
+      loadToken += 1;
+      const token = loadToken;
+      dwell.start(slide.path, slideNumber);
+      if (options.onShow) options.onShow(slideIndex);
+
+      // Background image sized to the modal, with fallback
+      setBackgroundImage(modal, slide.image);
+
+      title.textContent = slide.title || t('defaultTitle');
+      subtitle.textContent = slide.description || t('defaultDescription');
+      slideNumberBadge.textContent = t('position', { current: slideNumber, total });
+      prevButton.disabled = slideIndex === 0;
+      nextButton.disabled = slideIndex === slides.length - 1;
+      content.scrollTop = 0;
+
+      // Add loading state
+      showProgress();
+
+      // Fetch and display content
+      if (slide.path) {
+        const showLoadError = () => {
+          showMessage(t('contentUnavailable'));
+          trackLoadError(slide.path, slideNumber);
+          if (options.onLoadError) options.onLoadError(slideIndex);
+        };
+        fetchPlainHtml(slide.path, options.cacheTtl)
+          .then(async (html) => {
+            if (token !== loadToken) return;
+            if (html) {
+              await renderPlainHtml(contentArea, html);
+            } else {
+              showLoadError();
+            }
+          })
+          .catch((error) => {
+            // eslint-disable-next-line no-console
+            console.error('[spectrum-card] modal content error:', error);
+            if (token === loadToken) showLoadError();
+          });
+      } else {
+        showMessage(t('noContentPath'));
+      }
+    };
+
+    // Move to another slide; silent skips onNavigate when the change came from the URL
+    const goTo = (slideIndex, { silent = false } = {}) => {
+      if (slideIndex < 0 || slideIndex >= slides.length || slideIndex === currentIndex) return;
+      showSlide(slideIndex);
+      if (!silent && options.onNavigate) options.onNavigate(slideIndex);
+    };
+
+    // Keyboard: ESC closes, arrow keys step through slides
+    const handleKeydown = (e) => {
+      // Keys belong to the share menu while it is open
+      if (shareMenu.open) return;
+      if (e.key === 'Escape') {
+        closeModal();
+      } else if (e.key === 'ArrowLeft') {
+        goTo(currentIndex - 1);
+      } else if (e.key === 'ArrowRight') {
+        goTo(currentIndex + 1);
+      }
+    };
+
+    // Close modal function; silent skips onClose when the URL already closed it
+    const closeModal = ({ silent = false } = {}) => {
+      if (!overlay.isConnected) return;
+      document.removeEventListener('keydown', handleKeydown);
+      window.removeEventListener('pagehide', dwell.end);
+      dwell.end();
+      modalRoot.remove();
       document.body.style.overflow = ''; // Restore scrolling
+      if (options.onHide) options.onHide(currentIndex);
+      if (!silent && options.onClose) options.onClose();
     };
 
     // Event listeners
-    closeButton.addEventListener('click', closeModal);
+    closeButton.addEventListener('click', () => closeModal());
+    prevButton.addEventListener('click', () => goTo(currentIndex - 1));
+    nextButton.addEventListener('click', () => goTo(currentIndex + 1));
     overlay.addEventListener('click', (e) => {
       if (e.target === overlay) {
         closeModal();
       }
     });
+    document.addEventListener('keydown', handleKeydown);
+    // Leaving the page with the modal open still reports the dwell time
+    window.addEventListener('pagehide', dwell.end);
 
-    // ESC key to close
-    const handleEscape = (e) => {
-      if (e.key === 'Escape') {
-        closeModal();
-        document.removeEventListener('keydown', handleEscape);
+    // Touch swipe left/right to change slides
+    let touchStart = null;
+    modal.addEventListener('touchstart', (e) => {
+      touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    }, { passive: true });
+    modal.addEventListener('touchend', (e) => {
+      if (!touchStart) return;
+      const deltaX = e.changedTouches[0].clientX - touchStart.x;
+      const deltaY = e.changedTouches[0].clientY - touchStart.y;
+      touchStart = null;
+      if (Math.abs(deltaX) > SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+        goTo(deltaX < 0 ? currentIndex + 1 : currentIndex - 1);
       }
-    };
-    document.addEventListener('keydown', handleEscape);
+    });
 
     // Focus management for accessibility
     closeButton.focus();
 
-    // Fetch and display content
-    if (cardData.path) {
-      fetchPlainHtml(cardData.path).then(html => {
-        if (html) {
-          // Extract text content from HTML and style it for the modal
-          const tempDiv = document.createElement('div');
-          tempDiv.innerHTML = html;
-          
-          // Look for specific content patterns or just use the text content
-          const textContent = tempDiv.textContent || tempDiv.innerText || '';
-          
-          // Create a styled paragraph for the content
-          const styledContent = document.createElement('p');
-          styledContent.textContent = textContent;
-          styledContent.style.fontSize = '1.1rem';
-          styledContent.style.lineHeight = '1.6';
-          styledContent.style.color = 'rgba(255, 255, 255, 0.9)';
-          styledContent.style.textShadow = '0 1px 2px rgba(0, 0, 0, 0.6)';
-          styledContent.style.margin = '0';
-          
-          contentArea.innerHTML = '';
-          contentArea.appendChild(styledContent);
-        } else {
-          contentArea.innerHTML = `
-            <p style="color: rgba(255, 255, 255, 0.7); font-style: italic;">
-              Content not available - Unable to load the full content for this slide.
-            </p>
-          `;
-        }
-      });
-    } else {
-      contentArea.innerHTML = `
-        <p style="color: rgba(255, 255, 255, 0.7); font-style: italic;">
-          No content path available
-        </p>
-      `;
-    }
+    showSlide(index);
+
+    return {
+      goTo,
+      close: closeModal,
+    };
 
   } catch (error) {
     console.error('[spectrum-card] Modal creation failed:', error);
     // Fallback: show a simple alert
-    alert(`Failed to open modal for "${cardData.title}". Error: ${error.message}`);
+    alert(t('modalError', { title: cardData.title, error: error.message }));
+    return null;
   }
 }
 
-// Create a single card element with proper Spectrum structure
-function createCard(cardData, index) {
-  // Create wrapper container for the card and number badge
+// Positioned container for a card and its number badge, sized for the layout
+function createCardWrapper(config, featured) {
   const cardWrapper = document.createElement('div');
+  cardWrapper.className = 'spectrum-card-item';
   cardWrapper.style.position = 'relative';
-  cardWrapper.style.maxWidth = SPECTRUM_CARD_CONFIG.MAX_WIDTH;
-  cardWrapper.style.margin = '0 auto 20px auto';
+  // Carousel, list and masonry items are sized by the stylesheet
+  if (config.layout === LAYOUTS.GRID || config.layout === LAYOUTS.FEATURED) {
+    cardWrapper.style.maxWidth = featured ? 'none' : config.maxWidth;
+    cardWrapper.style.margin = '0 auto 20px auto';
+  }
+  if (featured) {
+    cardWrapper.classList.add('spectrum-card-featured');
+    cardWrapper.style.gridColumn = '1 / -1';
+    cardWrapper.style.width = '100%';
+  }
+  return cardWrapper;
+}
+
+// Shimmering bar standing in for text while a skeleton card loads
+function createSkeletonLine(width, height = '1rem') {
+  const line = document.createElement('div');
+  line.className = 'spectrum-card-skeleton-line';
+  line.style.width = width;
+  line.style.height = height;
+  return line;
+}
+
+// Placeholder card with the same slots and sizes as createCard, shown while the
+// index loads so each card can replace its skeleton without shifting the layout
+function createSkeletonCard(config, featured) {
+  const cardWrapper = createCardWrapper(config, featured);
+  cardWrapper.classList.add('spectrum-card-skeleton');
+  cardWrapper.setAttribute('aria-hidden', 'true');
+
+  const card = document.createElement('sp-card');
+  if (config.cardVariant) card.setAttribute('variant', config.cardVariant);
+  if (config.layout === LAYOUTS.LIST) card.setAttribute('horizontal', '');
+  // A non-breaking space keeps the heading's line height
+  card.setAttribute('heading', '\u00a0');
+  card.style.width = '100%';
+
+  const preview = document.createElement('div');
+  preview.setAttribute('slot', 'preview');
+  preview.className = 'spectrum-card-skeleton-preview';
+  if (config.layout === LAYOUTS.LIST) {
+    preview.style.width = '96px';
+    preview.style.height = '96px';
+  } else {
+    preview.style.height = featured ? '400px' : '200px';
+  }
+  card.appendChild(preview);
+
+  const description = document.createElement('div');
+  description.setAttribute('slot', 'description');
+  description.append(createSkeletonLine('90%'), createSkeletonLine('70%'), createSkeletonLine('80%', '0.9rem'));
+  card.appendChild(description);
+
+  // Same padding and button height as the real footer
+  const footer = document.createElement('div');
+  footer.setAttribute('slot', 'footer');
+  footer.style.display = 'flex';
+  footer.style.justifyContent = 'flex-end';
+  footer.style.padding = '8px 0';
+  footer.appendChild(createSkeletonLine('120px', '32px'));
+  card.appendChild(footer);
+
+  cardWrapper.appendChild(card);
+  return cardWrapper;
+}
+
+// Create a single card element with proper Spectrum structure
+// onOpen is called when the card's button asks for the modal;
+// options.featured renders the card large, for the featured layout,
+// options.eager loads its image straight away for cards in the first row, and
+// options.onSelect(selected) makes the card selectable, starting from
+// options.selected; returning false from it keeps the card as it was.
+// options.onFavorite() adds a star, filled while options.saved; it returns
+// whether the card is saved after the press. options.theme themes the share
+// menu's toasts.
+function createCard(cardData, index, config, onOpen, options = {}) {
+  // Create wrapper container for the card and number badge
+  const cardWrapper = createCardWrapper(config, options.featured);
 
   // Add slide number badge positioned over the card
   const slideNumber = document.createElement('div');
   slideNumber.className = 'slide-number';
-  slideNumber.textContent = (index + 1).toString();
+  slideNumber.textContent = formatNumber(index + 1);
   slideNumber.style.position = 'absolute';
   slideNumber.style.top = '10px';
   slideNumber.style.left = '10px';
@@ -357,23 +922,42 @@ function createCard(cardData, index) {
   // Create the actual Spectrum Card
   const card = document.createElement('sp-card');
   // Only set variant if it's not empty (standard variant has no variant attribute)
-  if (SPECTRUM_CARD_CONFIG.CARD_VARIANT) {
-    card.setAttribute('variant', SPECTRUM_CARD_CONFIG.CARD_VARIANT);
+  if (config.cardVariant) {
+    card.setAttribute('variant', config.cardVariant);
+  }
+  // The list layout uses sp-card's compact horizontal form
+  if (config.layout === LAYOUTS.LIST) {
+    card.setAttribute('horizontal', '');
+  }
+  // Slot content comes from the block's field mapping
+  const fields = mapCardFields(cardData, config.fieldMapping);
+  card.setAttribute('heading', fields.heading || t('defaultTitle'));
+  if (fields.subheading) {
+    card.setAttribute('subheading', fields.subheading);
   }
-  card.setAttribute('heading', cardData.title || SPECTRUM_CARD_CONFIG.DEFAULT_TITLE);
   card.style.width = '100%';
 
-  // Add image using proper preview slot
-  if (cardData.image) {
-    const img = document.createElement('img');
-    img.setAttribute('slot', 'preview');
-    img.src = cardData.image;
-    img.alt = cardData.title || '';
-    img.style.width = '100%';
-    img.style.height = '200px';
+  // Add an optimized picture using proper preview slot
+  if (fields.preview) {
+    let breakpoints = CARD_IMAGE_BREAKPOINTS.DEFAULT;
+    if (config.layout === LAYOUTS.LIST) breakpoints = CARD_IMAGE_BREAKPOINTS.THUMBNAIL;
+    if (options.featured) breakpoints = CARD_IMAGE_BREAKPOINTS.FEATURED;
+    const picture = createCardPicture(fields.preview, fields.heading, Boolean(options.eager), breakpoints);
+    picture.setAttribute('slot', 'preview');
+    picture.style.display = 'block';
+    
+    const img = picture.querySelector('img');
+    if (config.layout === LAYOUTS.LIST) {
+      img.style.width = '96px';
+      img.style.height = '96px';
+    } else {
+      img.style.width = '100%';
+      img.style.height = options.featured ? '400px' : '200px';
+    }
     img.style.objectFit = 'cover';
-    img.loading = 'lazy';
-    card.appendChild(img);
+    // The first card is the likely LCP element
+    if (options.eager && index === 0) img.setAttribute('fetchpriority', 'high');
+    card.appendChild(picture);
   }
 
   // Add description using proper description slot
@@ -387,7 +971,7 @@ function createCard(cardData, index) {
   mainDesc.style.lineHeight = '1.4';
   
   // Clean description text by removing bullet points and extra whitespace
-  let cleanDescription = cardData.description || SPECTRUM_CARD_CONFIG.DEFAULT_DESCRIPTION;
+  let cleanDescription = fields.description || t('defaultDescription');
   
   // Clean description text by removing bullet points and extra whitespace
   cleanDescription = cleanDescription.replace(/^[\u2022\u2023\u25E6\u2043\u2219\u204C\u204D\u2047\u2048\u2049\u204A\u204B\u25CF\u25CB\u25AA\u25AB\u25A0\u25A1•*\-\s]+/, '').trim();
@@ -398,17 +982,14 @@ function createCard(cardData, index) {
   mainDesc.textContent = cleanDescription;
   descriptionDiv.appendChild(mainDesc);
   
-  // Supporting text if available
-  if (cardData.supportingText || cardData.longDescription) {
+  // Supporting text if available; the default mapping truncates it for card display
+  if (fields.details) {
     const supportingText = document.createElement('p');
     supportingText.style.margin = '0';
     supportingText.style.fontSize = '0.9rem';
     supportingText.style.lineHeight = '1.4';
     supportingText.style.color = 'var(--spectrum-global-color-gray-700)';
-    // Truncate long text for card display
-    const text = cardData.supportingText || cardData.longDescription || '';
-    const truncatedText = text.length > 120 ? text.substring(0, 120) + '...' : text;
-    supportingText.textContent = truncatedText;
+    supportingText.textContent = fields.details;
     descriptionDiv.appendChild(supportingText);
   }
   
@@ -421,12 +1002,24 @@ function createCard(cardData, index) {
   footerDiv.style.justifyContent = 'flex-end';
   footerDiv.style.alignItems = 'center';
   footerDiv.style.padding = '8px 0';
+  
+  // Optional footer text sits at the start, with the button kept on the right
+  if (fields.footer) {
+    const footerText = document.createElement('span');
+    footerText.className = 'spectrum-card-footer-text';
+    footerText.style.fontSize = '0.9rem';
+    footerText.style.fontWeight = '600';
+    footerText.style.color = 'var(--spectrum-global-color-gray-800)';
+    footerText.textContent = fields.footer;
+    footerDiv.style.justifyContent = 'space-between';
+    footerDiv.appendChild(footerText);
+  }
 
   // Create Read More button
   const button = document.createElement('sp-button');
-  button.setAttribute('treatment', SPECTRUM_CARD_CONFIG.BUTTON_TREATMENT);
+  button.setAttribute('treatment', config.buttonTreatment);
   button.setAttribute('size', SPECTRUM_CARD_CONFIG.BUTTON_SIZE);
-  button.textContent = cardData.buttonText || 'Read More';
+  button.textContent = fields.cta || config.buttonText || t('readMore');
   
   // Add arrow icon to button
   const icon = document.createElement('sp-icon-arrow-right');
@@ -438,102 +1031,988 @@ function createCard(cardData, index) {
     event.preventDefault();
     event.stopPropagation();
     
-    // eslint-disable-next-line no-console
-    console.log('[spectrum-card] showing modal for slide:', {
-      slideNumber: index + 1,
-      title: cardData.title,
-      path: cardData.path,
-      description: cardData.description,
-    });
+    trackCheckpoint(RUM_CHECKPOINTS.CLICK, cardData.path, index + 1);
     
     // Show modal with content
-    showContentModal(cardData, index);
+    onOpen();
   });
   
-  footerDiv.appendChild(button);
+  // Card actions sit together on the right, with the button last
+  const actions = document.createElement('div');
+  actions.className = 'spectrum-card-actions';
+  if (options.onFavorite) {
+    actions.appendChild(createFavoriteButton(cardData.path, Boolean(options.saved), options.onFavorite));
+  }
+  if (cardData.path) {
+    const target = getShareTarget(
+      { path: cardData.path, title: fields.heading, description: fields.description },
+      config.slideParam,
+    );
+    actions.appendChild(createShareMenu(() => target, { theme: options.theme }));
+  }
+  actions.appendChild(button);
+  footerDiv.appendChild(actions);
   card.appendChild(footerDiv);
 
+  // sp-card's toggles mode adds the checkbox and fires a cancelable change
+  if (options.onSelect) {
+    card.toggles = true;
+    card.selected = Boolean(options.selected);
+    cardWrapper.classList.toggle('spectrum-card-selected', card.selected);
+    card.addEventListener('change', (event) => {
+      if (event.target !== card) return;
+      if (options.onSelect(card.selected) === false) {
+        event.preventDefault();
+        return;
+      }
+      cardWrapper.classList.toggle('spectrum-card-selected', card.selected);
+    });
+  }
+
   // Add the card to the wrapper
   cardWrapper.appendChild(card);
+  decorateTemplate(config.template, { wrapper: cardWrapper, card, fields });
   
   return cardWrapper;
 }
 
-// The decorate function is called by Franklin/EDS for this block
-export default async function decorate(block) {
-  // eslint-disable-next-line no-console
-  console.debug('[spectrum-card] decorate called', block);
-
+// Render the cards for config into block, the custom element (or any container).
+// Listeners outside block are removed when signal aborts, i.e. on the next render.
+async function renderBlock(block, config, signal) {
   try {
-    // Check if block has content specifying a custom query path
-    const rows = Array.from(block.children);
-    let queryPath = SPECTRUM_CARD_CONFIG.QUERY_INDEX_PATH;
-    
-    if (rows.length > 0) {
-      const firstRowContent = rows[0].textContent.trim();
-      // Check if it looks like a query path (contains query-index.json)
-      if (firstRowContent.includes('query-index.json')) {
-        queryPath = firstRowContent;
-      }
-    }
-    
     // eslint-disable-next-line no-console
-    console.debug('[spectrum-card] using query path:', queryPath);
+    console.debug('[spectrum-card] using config:', config);
+    
+    // Instance API, so other blocks, analytics and personalization can drive the
+    // block without reaching into its DOM. It is set before anything loads; each
+    // method calls the render's own once the render has one, and until then acts
+    // on an empty grid. setFilter then only writes the URL, which the first render reads.
+    const instance = {};
+    const delegate = (name, fallback) => (...args) => (instance[name] || fallback)(...args);
+    block.spectrumCard = {
+      open: delegate('open', () => {}),
+      close: delegate('close', () => {}),
+      refresh: delegate('refresh', async () => {}),
+      setFilter: delegate('setFilter', (selections = {}) => {
+        writeFacetSelections(toFacetSelections(config.facets, selections));
+      }),
+      getFavorites: delegate('getFavorites', () => []),
+      getSelection: delegate('getSelection', () => []),
+      clearSelection: delegate('clearSelection', () => {}),
+      compare: delegate('compare', () => null),
+      getData: delegate('getData', () => ({ data: [], displayed: [], total: 0 })),
+    };
+    
+    // The page's aem.js, when there is one, reads the theme metadata and makes the card pictures
+    await loadEds();
+    // Everything the block renders sits inside an sp-theme for the page's color and scale
+    const theme = resolveTheme(config.theme);
+    const [fieldMapping] = await Promise.all([
+      loadFieldMapping(config.fields, config.fieldsSource, getTemplateFields(config.template)),
+      loadTheme(theme),
+      loadStrings(),
+    ]);
+    // A newer render took over while this one was loading
+    if (signal.aborted) return;
+    config.fieldMapping = fieldMapping;
+    config.slideParam = getSlideParam(block);
+    const themeRoot = createThemeWrapper(theme, { signal });
     
     // Clear the block content
     block.textContent = '';
+    block.appendChild(themeRoot);
     
-    // Add loading state
-    const loadingDiv = document.createElement('div');
-    loadingDiv.textContent = 'Loading cards...';
-    loadingDiv.style.textAlign = 'center';
-    loadingDiv.style.padding = '20px';
-    block.appendChild(loadingDiv);
+    // Create container for cards
+    const cardsContainer = document.createElement('div');
+    cardsContainer.className = `spectrum-card-grid spectrum-card-layout-${config.layout}`;
+    cardsContainer.setAttribute('aria-live', 'polite');
+    // Carousel, list and masonry lay themselves out in the stylesheet
+    if (config.layout === LAYOUTS.GRID || config.layout === LAYOUTS.FEATURED) {
+      cardsContainer.style.display = 'grid';
+      cardsContainer.style.gridTemplateColumns = 'repeat(auto-fit, minmax(300px, 1fr))';
+      cardsContainer.style.gap = '20px';
+    }
+    cardsContainer.style.padding = '20px 0';
+    const carousel = config.layout === LAYOUTS.CAROUSEL ? createCarousel(cardsContainer, { signal }) : null;
     
-    // Fetch card data from query-index.json
-    const cardData = await fetchCardData(queryPath);
+    // Skeleton cards hold the grid's place while the index loads, as many as
+    // the first render will show, so the cards can replace them without a shift
+    const skeletonCount = Math.min(
+      config.limit || Infinity,
+      config.paging ? config.pageSize : SPECTRUM_CARD_CONFIG.SKELETON_COUNT,
+    );
+    for (let position = 0; position < skeletonCount; position += 1) {
+      cardsContainer.appendChild(createSkeletonCard(config, config.layout === LAYOUTS.FEATURED && position === 0));
+    }
+    cardsContainer.setAttribute('aria-busy', 'true');
+    themeRoot.appendChild(cardsContainer);
     
-    // Remove loading state
-    block.removeChild(loadingDiv);
+    // The skeletons are hidden from assistive technology, which gets this instead
+    const loadingStatus = document.createElement('p');
+    loadingStatus.className = 'spectrum-card-visually-hidden';
+    loadingStatus.setAttribute('role', 'status');
+    loadingStatus.textContent = t('loading');
+    themeRoot.appendChild(loadingStatus);
+    
+    // Cached rows are shown straight away. When the background revalidation finds
+    // a newer index, onRevalidated swaps in the changed rows, but only while the
+    // rows it replaces are still the ones loaded: dataVersion moves on whenever
+    // another page replaces or extends them. Rows that arrive before the grid
+    // exists are held in pendingRows and used for the first render instead.
+    let dataVersion = 0;
+    let onRevalidated = null;
+    let pendingRows = null;
+    const whenCurrent = (version) => (data) => {
+      if (version !== dataVersion) return;
+      if (onRevalidated) {
+        onRevalidated(data);
+      } else {
+        pendingRows = data;
+      }
+    };
+    
+    // Fetch card data from query-index.json, or just its first page when paging is enabled
+    let cardData;
+    let total = 0;
+    let loadedCount = 0;
+    if (config.paging) {
+      const firstPage = await fetchCardPage(config.source, 0, config.pageSize, {
+        ttl: config.cacheTtl,
+        onUpdate: whenCurrent(dataVersion),
+      });
+      cardData = firstPage.data;
+      loadedCount = firstPage.data.length;
+      total = config.limit > 0 ? Math.min(firstPage.total, config.limit) : firstPage.total;
+    } else {
+      cardData = await fetchCardData(config.source, {
+        ttl: config.cacheTtl,
+        onUpdate: whenCurrent(dataVersion),
+      });
+    }
+    if (signal.aborted) return;
+    cardData = cardData.filter((row) => matchesAuthoredFilters(row, config));
+    const emitLoaded = () => emit(block, EVENTS.LOADED, {
+      data: cardData,
+      total: config.paging ? total : cardData.length,
+    });
+    instance.getData = () => ({
+      data: [...cardData],
+      displayed: [],
+      total: config.paging ? total : cardData.length,
+    });
+    
+    // Remove loading state; the skeletons stay until renderCards replaces them
+    loadingStatus.remove();
+    cardsContainer.removeAttribute('aria-busy');
     
     if (cardData.length === 0) {
+      emitLoaded();
+      cardsContainer.remove();
       const noDataDiv = document.createElement('div');
-      noDataDiv.textContent = 'No cards available';
+      noDataDiv.textContent = t('noCards');
       noDataDiv.style.textAlign = 'center';
       noDataDiv.style.padding = '20px';
-      block.appendChild(noDataDiv);
+      themeRoot.appendChild(noDataDiv);
+      // With no grid to update, a refresh loads the block again
+      instance.refresh = async () => {
+        evictEntries(`${getConfig().baseUrl}${config.source}`);
+        await renderBlock(block, config, signal);
+      };
       return;
     }
     
-    // Create container for cards
-    const cardsContainer = document.createElement('div');
-    cardsContainer.style.display = 'grid';
-    cardsContainer.style.gridTemplateColumns = 'repeat(auto-fit, minmax(300px, 1fr))';
-    cardsContainer.style.gap = '20px';
-    cardsContainer.style.padding = '20px 0';
+    // Cards in the first row are above the fold, so their images load eagerly.
+    // Columns are at least 300px with a 20px gap; list and featured start with a single card.
+    const firstRowSize = [LAYOUTS.LIST, LAYOUTS.FEATURED].includes(config.layout)
+      ? 1
+      : Math.max(1, Math.floor((block.clientWidth + 20) / 320));
+    
+    let facetSelections = readFacetSelections(config.facets);
+    // Slide numbers continue across pages in numbered paging mode
+    let indexOffset = 0;
+    let renderedCount = 0;
+    // Rows currently shown in the grid, in order; the modal steps through these
+    let displayedRows = [];
+    let modal = null;
+    
+    // Every slide shown pushes a history entry, so Back steps back through slides
+    const pushSlide = (path) => {
+      window.history.pushState(
+        { spectrumCardDepth: getSlideHistoryDepth() + 1 },
+        '',
+        getSlideUrl(config.slideParam, path),
+      );
+    };
     
-    // Create cards from data with index for numbering
-    cardData.forEach((item, index) => {
-      const cardWrapper = createCard(item, index);
-      cardsContainer.appendChild(cardWrapper);
+    // Unwind the entries the modal pushed, or just drop the parameter for a deep link
+    const closeSlideHistory = () => {
+      modal = null;
+      const depth = getSlideHistoryDepth();
+      if (depth > 0) {
+        window.history.go(-depth);
+      } else {
+        window.history.replaceState(window.history.state, '', getSlideUrl(config.slideParam, null));
+      }
+    };
+    
+    // Rows as the modal and presentation read them, with title, description and image mapped
+    const toSlides = (rows) => rows.map((row) => toSlide(row, config.fieldMapping));
+    
+    // The modal of a linked card that is not in the grid, while it is open
+    let linkedModal = null;
+    
+    // Open the modal on a row of the grid, or move the open modal to it
+    const openSlide = (position, { fromHistory = false } = {}) => {
+      if (modal && modal !== linkedModal) {
+        modal.goTo(position, { silent: true });
+        return;
+      }
+      // A linked card shown on its own has no grid to step through
+      if (modal) modal.close({ silent: true });
+      modal = showContentModal(toSlides(displayedRows), position, {
+        numberOffset: indexOffset,
+        theme,
+        cacheTtl: config.cacheTtl,
+        slideParam: config.slideParam,
+        total: config.paging === PAGING_MODES.NUMBERED ? total : undefined,
+        onNavigate: (shown) => pushSlide(displayedRows[shown].path),
+        onShow: (shown) => emit(block, EVENTS.OPEN, { index: shown, path: displayedRows[shown].path }),
+        onHide: (shown) => emit(block, EVENTS.CLOSE, { index: shown, path: displayedRows[shown].path }),
+        onLoadError: (shown) => emit(block, EVENTS.ERROR, { index: shown, path: displayedRows[shown].path }),
+        onClose: closeSlideHistory,
+      });
+      if (modal && !fromHistory) pushSlide(displayedRows[position].path);
+    };
+    
+    // Back/forward: follow the slide in the URL, closing the modal when it is gone
+    window.addEventListener('popstate', () => {
+      const path = new URLSearchParams(window.location.search).get(config.slideParam);
+      const position = path ? displayedRows.findIndex((row) => row.path === path) : -1;
+      if (position === -1) {
+        if (modal) modal.close({ silent: true });
+        modal = null;
+        return;
+      }
+      openSlide(position, { fromHistory: true });
+    }, { signal });
+    
+    // A new render replaces this one, so its modal goes too
+    signal.addEventListener('abort', () => {
+      if (modal) modal.close({ silent: true });
+      modal = null;
     });
     
-    block.appendChild(cardsContainer);
+    const prefetcher = createPrefetcher((path) => prefetchPlainHtml(path, config.cacheTtl));
+    const impressions = createImpressionTracker();
+    signal.addEventListener('abort', () => {
+      prefetcher.disconnect();
+      impressions.disconnect();
+    });
     
-    // eslint-disable-next-line no-console
-    console.debug('[spectrum-card] rendered', cardData.length, 'cards');
+    // Rows selected for comparison by path, in the order they were picked. They
+    // stay selected across filtering and pages, so the bar and the comparison
+    // read the rows from here rather than from the grid.
+    const selectedRows = new Map();
+    let selectionBar = null;
+    
+    const emitSelection = () => emit(block, EVENTS.SELECT, { paths: [...selectedRows.keys()] });
+    
+    const selectRow = (item, selected) => {
+      if (selected && selectedRows.size >= COMPARE_CONFIG.MAX_ROWS) {
+        selectionBar.update(selectedRows.size, { limitReached: true });
+        return false;
+      }
+      if (selected) {
+        selectedRows.set(item.path, item);
+      } else {
+        selectedRows.delete(item.path);
+      }
+      selectionBar.update(selectedRows.size);
+      emitSelection();
+      return true;
+    };
+    
+    const clearSelection = () => {
+      selectedRows.clear();
+      cardsContainer.querySelectorAll('.spectrum-card-selected').forEach((cardWrapper) => {
+        cardWrapper.classList.remove('spectrum-card-selected');
+        cardWrapper.querySelector('sp-card').selected = false;
+      });
+      selectionBar.update(0);
+      emitSelection();
+    };
+    
+    // Focus goes back to returnFocus, the Compare button, when the comparison closes
+    const compareSelection = (returnFocus) => {
+      if (selectedRows.size < COMPARE_CONFIG.MIN_ROWS) return null;
+      return showComparison([...selectedRows.values()], config.fieldMapping, {
+        theme,
+        onClose: () => {
+          if (returnFocus) returnFocus.focus();
+        },
+      });
+    };
+    
+    if (config.selectable) {
+      selectionBar = createSelectionBar({ onCompare: compareSelection, onClear: clearSelection });
+    }
+    
+    // Saved cards for this source, shared with its other blocks and with other
+    // tabs. savedOnly narrows the grid to them.
+    let savedOnly = false;
+    let savedToggle = null;
+    const favorites = config.favorites
+      ? createFavoritesStore(config.source, () => syncFavorites())
+      : null;
+    if (favorites) signal.addEventListener('abort', favorites.disconnect);
+    
+    const emitFavorites = () => emit(block, EVENTS.FAVORITE, { paths: favorites.paths() });
+    
+    // Saved paths can be missing from the index; only the loaded ones are counted and shown
+    const getSavedRows = () => cardData.filter((row) => favorites.has(row.path));
+    const updateSavedCount = () => {
+      if (savedToggle) savedToggle.setCount(getSavedRows().length);
+    };
+    
+    const toggleFavorite = (item) => {
+      const saved = favorites.toggle(item.path);
+      updateSavedCount();
+      emitFavorites();
+      // An unsaved card leaves the saved-only grid
+      if (savedOnly && !saved) renderCards();
+      return saved;
+    };
+    
+    // The rows the grid shows: the facet selections, then saved cards only when asked
+    const getVisibleRows = () => applyDataOptions(savedOnly ? getSavedRows() : cardData, config, facetSelections);
+    
+    // Card for the row at a position in the grid, with its content prefetched
+    // ahead of a click and its impression reported once it is seen
+    const buildCard = (item, position) => {
+      const cardWrapper = createCard(item, indexOffset + position, config, () => openSlide(position), {
+        featured: config.layout === LAYOUTS.FEATURED && position === 0,
+        eager: position < firstRowSize,
+        selected: selectedRows.has(item.path),
+        onSelect: config.selectable ? (selected) => selectRow(item, selected) : undefined,
+        saved: Boolean(favorites && favorites.has(item.path)),
+        onFavorite: favorites ? () => toggleFavorite(item) : undefined,
+        theme,
+      });
+      prefetcher.watch(cardWrapper, item.path);
+      impressions.observe(cardWrapper, item.path, indexOffset + position + 1);
+      return cardWrapper;
+    };
+    
+    // (Re-)render the grid in place for the current facet selections.
+    // With { append: true } only rows beyond those already shown are added,
+    // which keeps order intact as long as no sort is configured.
+    const renderCards = ({ append = false } = {}) => {
+      const rows = getVisibleRows();
+      
+      if (!append || config.sort || renderedCount === 0) {
+        // Skeletons from the initial load are kept so cards can take their places
+        [...cardsContainer.children]
+          .filter((child) => !child.classList.contains('spectrum-card-skeleton'))
+          .forEach((child) => child.remove());
+        renderedCount = 0;
+      }
+      
+      if (rows.length === 0) {
+        const noMatchDiv = document.createElement('div');
+        noMatchDiv.textContent = savedOnly && getSavedRows().length === 0 ? t('noSavedCards') : t('noMatches');
+        noMatchDiv.style.textAlign = 'center';
+        noMatchDiv.style.padding = '20px';
+        noMatchDiv.style.gridColumn = '1 / -1';
+        cardsContainer.appendChild(noMatchDiv);
+      }
+      
+      // Create cards from data with index for numbering, each in place of a skeleton while any are left
+      rows.slice(renderedCount).forEach((item, index) => {
+        const card = buildCard(item, renderedCount + index);
+        const skeleton = cardsContainer.querySelector(':scope > .spectrum-card-skeleton');
+        if (skeleton) {
+          skeleton.replaceWith(card);
+        } else {
+          cardsContainer.appendChild(card);
+        }
+      });
+      cardsContainer.querySelectorAll(':scope > .spectrum-card-skeleton').forEach((skeleton) => skeleton.remove());
+      renderedCount = rows.length;
+      displayedRows = rows;
+      if (carousel) carousel.update();
+      if (favorites) updateSavedCount();
+      
+      // eslint-disable-next-line no-console
+      console.debug('[spectrum-card] rendered', rows.length, 'cards');
+      emit(block, EVENTS.RENDERED, { count: rows.length });
+    };
+    
+    // Facet values come from the rows loaded so far, so the bar is rebuilt as pages arrive
+    let filterBar = null;
+    const mountFilterBar = () => {
+      if (config.facets.length === 0) return;
+      const created = createFilterBar(cardData, config.facets, facetSelections, (updated) => {
+        facetSelections = updated;
+        writeFacetSelections(facetSelections);
+        renderCards();
+      });
+      facetSelections = created.selections;
+      if (filterBar) {
+        filterBar.replaceWith(created.filterBar);
+      } else {
+        cardsContainer.before(created.filterBar);
+      }
+      filterBar = created.filterBar;
+    };
+    
+    // Replace every facet selection, as the filter bar would, and show the result
+    const replaceFacetSelections = (selections) => {
+      facetSelections = toFacetSelections(config.facets, selections);
+      writeFacetSelections(facetSelections);
+      mountFilterBar();
+      renderCards();
+    };
+    
+    // Presenter window: show notes and previews instead of the grid
+    if (config.present && isPresenterWindow(config.source)) {
+      // No stars to keep in sync here
+      if (favorites) favorites.disconnect();
+      cardsContainer.remove();
+      const channel = createPresenterChannel(config.source);
+      signal.addEventListener('abort', channel.close);
+      renderPresenterView(themeRoot, toSlides(applyDataOptions(cardData, config, facetSelections)), {
+        channel,
+        signal,
+        loadNotes: (slide) => loadSpeakerNotes(slide, config.cacheTtl),
+      });
+      return;
+    }
+    
+    // A newer index from the background revalidation: replace only the cards
+    // whose row changed, or re-render when rows were added, removed or reordered
+    onRevalidated = (data) => {
+      const previousRows = displayedRows;
+      cardData = data.filter((row) => matchesAuthoredFilters(row, config));
+      emitLoaded();
+      mountFilterBar();
+      const rows = getVisibleRows();
+      const sameRows = rows.length === previousRows.length
+        && rows.every((row, position) => row.path === previousRows[position].path);
+      if (!sameRows) {
+        renderCards();
+        return;
+      }
+      
+      rows.forEach((row, position) => {
+        if (JSON.stringify(row) === JSON.stringify(previousRows[position])) return;
+        // Compare the newer values of a selected row
+        if (selectedRows.has(row.path)) selectedRows.set(row.path, row);
+        cardsContainer.children[position].replaceWith(buildCard(row, position));
+      });
+      displayedRows = rows;
+      emit(block, EVENTS.RENDERED, { count: rows.length });
+      
+      // eslint-disable-next-line no-console
+      console.debug('[spectrum-card] applied revalidated index');
+    };
+    if (pendingRows) cardData = pendingRows.filter((row) => matchesAuthoredFilters(row, config));
+    emitLoaded();
+    
+    // Stars and the saved count after another tab saved or unsaved a card
+    const syncFavorites = () => {
+      if (savedOnly) {
+        renderCards();
+      } else {
+        cardsContainer.querySelectorAll('.spectrum-card-favorite').forEach((button) => {
+          updateFavoriteButton(button, favorites.has(button.dataset.path));
+        });
+        updateSavedCount();
+      }
+      emitFavorites();
+    };
+    
+    // Block-level actions shown above the grid
+    const toolbar = document.createElement('div');
+    toolbar.className = 'spectrum-card-toolbar';
+    
+    if (favorites) {
+      savedToggle = createSavedOnlyToggle((selected) => {
+        savedOnly = selected;
+        renderCards();
+      });
+      toolbar.appendChild(savedToggle.button);
+    }
+    
+    if (config.present) {
+      // The running presentation follows, and reports to, any presenter window
+      const presenterChannel = createPresenterChannel(config.source);
+      let presentation = null;
+      // A new render has its own channel and presentation
+      signal.addEventListener('abort', () => {
+        presenterChannel.close();
+        if (presentation) presentation.exit();
+      });
+      
+      presenterChannel.listen((message) => {
+        if (!presentation || !message) return;
+        if (message.type === 'goto') {
+          const position = displayedRows.findIndex((row) => row.path === message.path);
+          if (position > -1) presentation.goTo(position, { silent: true });
+        } else if (message.type === 'hello') {
+          presenterChannel.post({ type: 'goto', path: displayedRows[presentation.index].path });
+        }
+      });
+      
+      const presenterButton = document.createElement('sp-button');
+      presenterButton.setAttribute('variant', 'secondary');
+      presenterButton.setAttribute('treatment', 'outline');
+      presenterButton.setAttribute('size', 's');
+      presenterButton.textContent = t('presenterView');
+      const presenterIcon = document.createElement('sp-icon-note');
+      presenterIcon.setAttribute('slot', 'icon');
+      presenterButton.appendChild(presenterIcon);
+      presenterButton.addEventListener('click', () => openPresenterWindow(config.source));
+      toolbar.appendChild(presenterButton);
+      
+      const presentButton = document.createElement('sp-button');
+      presentButton.setAttribute('variant', 'secondary');
+      presentButton.setAttribute('treatment', 'outline');
+      presentButton.setAttribute('size', 's');
+      presentButton.textContent = t('present');
+      const presentIcon = document.createElement('sp-icon-full-screen');
+      presentIcon.setAttribute('slot', 'icon');
+      presentButton.appendChild(presentIcon);
+      
+      presentButton.addEventListener('click', () => {
+        if (displayedRows.length === 0) return;
+        presentation = startPresentation(toSlides(displayedRows), 0, {
+          numberOffset: indexOffset,
+          interval: config.autoAdvance,
+          theme,
+          onChange: (position) => {
+            presenterChannel.post({ type: 'goto', path: displayedRows[position].path });
+          },
+          loadContent: async (slide) => {
+            const html = slide.path ? await fetchPlainHtml(slide.path, config.cacheTtl) : null;
+            if (slide.path && !html) {
+              const position = displayedRows.findIndex((row) => row.path === slide.path);
+              trackLoadError(slide.path, indexOffset + position + 1);
+              emit(block, EVENTS.ERROR, { index: position, path: slide.path });
+            }
+            return html;
+          },
+          renderContent: renderPlainHtml,
+          // Return to the grid at the card for the slide that was showing
+          onExit: (position) => {
+            presentation = null;
+            const card = cardsContainer.children[position];
+            if (!card) return;
+            card.scrollIntoView({ block: 'center' });
+            const cardButton = card.querySelector('sp-button');
+            if (cardButton) cardButton.focus();
+          },
+        });
+      });
+      toolbar.appendChild(presentButton);
+    }
+    
+    if (config.export.length > 0) {
+      const exportName = getExportName(config.source);
+      
+      // The whole deck as authored, not the page or facet selection in view
+      const loadDeck = async () => {
+        const rows = await fetchCardData(config.source, { ttl: config.cacheTtl });
+        return toSlides(applyDataOptions(rows, config));
+      };
+      const buildHandout = async () => createHandout(await loadDeck(), {
+        title: document.title || exportName,
+        loadContent: (slide) => (slide.path ? fetchPlainHtml(slide.path, config.cacheTtl) : null),
+        // Absolute, so the saved file's images and links still point at the site
+        rewriteUrls: (root) => rewriteDocumentUrls(root, window.location.href, getConfig().baseUrl, { absolute: true }),
+      });
+      
+      // The rows behind the cards in view: the facets and saved-only view apply,
+      // but across the whole index rather than the page loaded
+      const loadData = async () => {
+        const rows = await fetchCardData(config.source, { ttl: config.cacheTtl });
+        const visible = savedOnly ? rows.filter((row) => favorites.has(row.path)) : rows;
+        const data = applyDataOptions(visible, config, facetSelections);
+        return { data, columns: getExportColumns(data, getMappedColumns(config.fieldMapping)) };
+      };
+      
+      const exportMenu = createExportMenu(config.export, async (action) => {
+        exportMenu.setBusy(true);
+        try {
+          if (action === 'print-handout') {
+            showToast(t('preparingExport'), 'info', theme);
+            printHandout(await buildHandout());
+          } else if (action === 'download-handout') {
+            showToast(t('preparingExport'), 'info', theme);
+            downloadFile(await buildHandout(), `${exportName}-handout.html`, 'text/html;charset=utf-8');
+          } else if (action === 'download-csv') {
+            const { data, columns } = await loadData();
+            downloadFile(toCsv(data, columns), `${exportName}.csv`, 'text/csv;charset=utf-8');
+          } else if (action === 'download-json') {
+            const { data, columns } = await loadData();
+            downloadFile(toJson(data, columns), `${exportName}.json`, 'application/json');
+          }
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.error('[spectrum-card] export error:', error);
+          showToast(t('exportFailed'), 'negative', theme);
+        } finally {
+          exportMenu.setBusy(false);
+        }
+      });
+      toolbar.appendChild(exportMenu.menu);
+    }
+    
+    if (toolbar.children.length > 0) cardsContainer.before(toolbar);
+    mountFilterBar();
+    renderCards();
+    // Sticks to the bottom of the viewport while the grid is in view
+    if (selectionBar) cardsContainer.after(selectionBar.bar);
+    if (carousel) {
+      themeRoot.appendChild(carousel.controls);
+      carousel.update();
+    }
+    
+    if (config.paging === PAGING_MODES.NUMBERED) {
+      const totalPages = Math.ceil(total / config.pageSize);
+      let currentPage = 1;
+      
+      const nav = document.createElement('nav');
+      nav.className = 'spectrum-card-pagination';
+      nav.setAttribute('aria-label', t('cardPages'));
+      
+      let pageAlert = null;
+      // Each page asked for gets a token, so only the last click's page is shown
+      // however the requests finish
+      let pageToken = 0;
+      
+      const goToPage = async (page) => {
+        if (page < 1 || page > totalPages) return;
+        pageToken += 1;
+        const token = pageToken;
+        // Back to the page on show, dropping any page still loading
+        if (page === currentPage) return;
+        if (pageAlert) pageAlert.remove();
+        const offset = (page - 1) * config.pageSize;
+        dataVersion += 1;
+        let result;
+        try {
+          result = await fetchCardPage(config.source, offset, Math.min(config.pageSize, total - offset), {
+            ttl: config.cacheTtl,
+            onUpdate: whenCurrent(dataVersion),
+          });
+        } catch (error) {
+          if (token !== pageToken || signal.aborted) return;
+          // The current page stays; the alert above the pagination retries the one asked for
+          emit(block, EVENTS.ERROR, { error, path: config.source });
+          pageAlert = createErrorAlert(error, () => goToPage(page), { signal });
+          nav.before(pageAlert);
+          return;
+        }
+        if (token !== pageToken || signal.aborted) return;
+        
+        currentPage = page;
+        indexOffset = offset;
+        cardData = result.data.filter((row) => matchesAuthoredFilters(row, config));
+        emitLoaded();
+        mountFilterBar();
+        renderCards();
+        renderPagination(nav, currentPage, totalPages, goToPage);
+        block.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      };
+      
+      renderPagination(nav, currentPage, totalPages, goToPage);
+      themeRoot.appendChild(nav);
+    } else if (config.paging === PAGING_MODES.INFINITE) {
+      const loadMore = async () => {
+        if (loadedCount >= total) return false;
+        let result;
+        try {
+          result = await fetchCardPage(config.source, loadedCount, Math.min(config.pageSize, total - loadedCount));
+        } catch (error) {
+          // The loader shows the alert
+          emit(block, EVENTS.ERROR, { error, path: config.source });
+          throw error;
+        }
+        if (result.data.length === 0) return false;
+        
+        loadedCount += result.data.length;
+        dataVersion += 1;
+        cardData = cardData.concat(result.data.filter((row) => matchesAuthoredFilters(row, config)));
+        emitLoaded();
+        mountFilterBar();
+        renderCards({ append: true });
+        return loadedCount < total;
+      };
+      
+      if (loadedCount < total) {
+        themeRoot.appendChild(createInfiniteLoader(loadMore, { signal }));
+      }
+    }
+    
+    // Deep link: open the modal on the slide named in the URL. A card hidden by
+    // the facets clears them. In paging modes a card on a page that is not loaded
+    // opens on its own, with the title and description its document starts with,
+    // rather than loading the index up to it.
+    const openLinkedSlide = async (path) => {
+      const findPosition = () => displayedRows.findIndex((row) => row.path === path);
+      if (findPosition() === -1 && cardData.some((row) => row.path === path)) {
+        replaceFacetSelections({});
+      }
+      const position = findPosition();
+      let slide = null;
+      if (position === -1) {
+        if (!config.paging) return;
+        const html = await fetchPlainHtml(path, config.cacheTtl);
+        if (!html) return;
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const heading = template.content.querySelector('h1, h2');
+        const paragraph = template.content.querySelector('p');
+        slide = {
+          path,
+          title: heading ? heading.textContent.trim() : '',
+          description: paragraph ? paragraph.textContent.trim() : '',
+        };
+      }
+      if (signal.aborted) return;
+      // The link's own entry drops the parameter and the slide is pushed on top of
+      // it, so closing the modal goes back to the page instead of reopening the link
+      window.history.replaceState(
+        { ...window.history.state, spectrumCardDepth: 0 },
+        '',
+        getSlideUrl(config.slideParam, null),
+      );
+      if (slide) {
+        if (modal) modal.close({ silent: true });
+        // Not a card in the grid, so its events have no index
+        modal = showContentModal([slide], 0, {
+          theme,
+          cacheTtl: config.cacheTtl,
+          slideParam: config.slideParam,
+          onShow: () => emit(block, EVENTS.OPEN, { index: -1, path }),
+          onHide: () => emit(block, EVENTS.CLOSE, { index: -1, path }),
+          onLoadError: () => emit(block, EVENTS.ERROR, { index: -1, path }),
+          onClose: closeSlideHistory,
+        });
+        linkedModal = modal;
+        if (modal) pushSlide(path);
+      } else {
+        openSlide(position);
+      }
+    };
+    const linkedSlide = new URLSearchParams(window.location.search).get(config.slideParam);
+    if (linkedSlide) {
+      openLinkedSlide(linkedSlide).catch((error) => {
+        // eslint-disable-next-line no-console
+        console.debug('[spectrum-card] linked slide unavailable:', linkedSlide, error);
+      });
+    }
+    
+    // The instance API's methods for the rendered grid. Positions are indexes into the grid.
+    Object.assign(instance, {
+      open: (index) => {
+        if (index >= 0 && index < displayedRows.length) openSlide(index);
+      },
+      close: () => {
+        if (modal) modal.close();
+      },
+      // Fetch the loaded rows again, bypassing the cache, and update the cards that changed
+      refresh: async () => {
+        evictEntries(`${getConfig().baseUrl}${config.source}`);
+        dataVersion += 1;
+        let data;
+        try {
+          if (config.paging === PAGING_MODES.NUMBERED) {
+            const pageSize = Math.min(config.pageSize, total - indexOffset);
+            data = (await fetchCardPage(config.source, indexOffset, pageSize, { ttl: config.cacheTtl })).data;
+          } else if (config.paging === PAGING_MODES.INFINITE) {
+            // Every page loaded so far, in one request
+            data = (await fetchCardPage(config.source, 0, loadedCount, { ttl: config.cacheTtl })).data;
+          } else {
+            data = await fetchCardData(config.source, { ttl: config.cacheTtl });
+          }
+        } catch (error) {
+          emit(block, EVENTS.ERROR, { error, path: config.source });
+          throw error;
+        }
+        onRevalidated(data);
+      },
+      // Replace the facet selections, e.g. { tags: ['design', 'eds'] } or { tags: 'design, eds' }
+      setFilter: (selections = {}) => replaceFacetSelections(selections),
+      // Saved paths for this source, including any no longer in the index
+      getFavorites: () => (favorites ? favorites.paths() : []),
+      // Rows selected for comparison, in the order they were picked
+      getSelection: () => [...selectedRows.values()],
+      clearSelection: () => {
+        if (selectionBar) clearSelection();
+      },
+      // Open the comparison for the selection; null while fewer than two cards are selected
+      compare: () => compareSelection(),
+      // The rows loaded from the index and the rows shown in the grid, in order
+      getData: () => ({
+        data: [...cardData],
+        displayed: [...displayedRows],
+        total: config.paging ? total : cardData.length,
+      }),
+    });
     
   } catch (err) {
+    if (signal.aborted) return;
     // eslint-disable-next-line no-console
     console.error('[spectrum-card] decorate error', err);
     
-    // Show error state
-    block.textContent = '';
-    const errorDiv = document.createElement('div');
-    errorDiv.textContent = 'Error loading cards';
-    errorDiv.style.textAlign = 'center';
-    errorDiv.style.padding = '20px';
-    errorDiv.style.color = 'red';
-    block.appendChild(errorDiv);
+    emit(block, EVENTS.ERROR, { error: err, path: err.url });
+    
+    // Show error state, keeping the block's theme when it got that far
+    const errorRoot = block.querySelector(':scope > sp-theme') || createThemeWrapper(resolveTheme(), { signal });
+    errorRoot.replaceChildren(createErrorAlert(err, () => renderBlock(block, config, signal), { signal }));
+    block.replaceChildren(errorRoot);
+  }
+}
+
+// Attributes of <eds-spectrum-card>, named like the block's config keys; src is the source
+const ELEMENT_ATTRIBUTES = [
+  'src',
+  'limit',
+  'sort',
+  'filter',
+  'facets',
+  'paging',
+  'page-size',
+  'present',
+  'auto-advance',
+  'selectable',
+  'favorites',
+  'export',
+  'theme',
+  'layout',
+  'cache-ttl',
+  'template',
+  'fields',
+  'field-mapping',
+  'button-text',
+  'card-variant',
+  'button-treatment',
+  'max-width',
+];
+
+// The block stylesheet, copied next to the bundle by the build. Kept in a
+// constant so Vite leaves the URL to be resolved at runtime instead of inlining it.
+const STYLESHEET = 'spectrum-card.css';
+
+// Pages outside EDS do not load the block stylesheet, so it is added from beside the bundle
+function loadStylesheet() {
+  if (document.querySelector(`link[href$="${STYLESHEET}"]`)) return;
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = new URL(STYLESHEET, import.meta.url).href;
+  document.head.appendChild(link);
+}
+
+// <eds-spectrum-card src="/slides/query-index.json" limit="6" layout="carousel">
+// renders the block anywhere the bundle is loaded, and re-renders when its
+// attributes change. The instance API is on the element as spectrumCard.
+class SpectrumCardElement extends HTMLElement {
+  static get observedAttributes() {
+    return ELEMENT_ATTRIBUTES;
+  }
+
+  connectedCallback() {
+    // The block stylesheet is scoped to .spectrum-card
+    this.classList.add('spectrum-card');
+    loadStylesheet();
+    this.scheduleRender();
+  }
+
+  disconnectedCallback() {
+    if (this.renderController) this.renderController.abort();
+    this.renderController = null;
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (this.isConnected && oldValue !== newValue) this.scheduleRender();
+  }
+
+  // Resolves once the latest render has finished
+  get ready() {
+    return this.rendering || Promise.resolve();
+  }
+
+  // The attributes as the authored values getBlockConfig reads
+  readAttributes() {
+    const authored = {};
+    ELEMENT_ATTRIBUTES.forEach((name) => {
+      if (!this.hasAttribute(name)) return;
+      const value = this.getAttribute(name);
+      // A bare boolean attribute, as in <eds-spectrum-card present>
+      const isBoolean = ['present', 'selectable', 'favorites'].includes(name);
+      authored[name === 'src' ? 'source' : name] = isBoolean && value === '' ? 'true' : value;
+    });
+    return authored;
+  }
+
+  // Attributes changed together re-render once
+  scheduleRender() {
+    if (this.renderQueued) return;
+    this.renderQueued = true;
+    this.rendering = Promise.resolve().then(() => {
+      this.renderQueued = false;
+      if (!this.isConnected) return undefined;
+      if (this.renderController) this.renderController.abort();
+      this.renderController = new AbortController();
+      return renderBlock(this, getBlockConfig(this.readAttributes()), this.renderController.signal);
+    });
+  }
+}
+
+if (!customElements.get('eds-spectrum-card')) {
+  customElements.define('eds-spectrum-card', SpectrumCardElement);
+}
+
+// The block's authored key/value rows, read with aem.js's readBlockConfig, its
+// layout option and the legacy single-row query path, as the element's attribute values
+function getElementAttributes(block, readBlockConfig) {
+  const authored = readBlockConfig(block);
+  const attributes = {};
+  Object.entries(authored).forEach(([key, value]) => {
+    const name = key === 'source' ? 'src' : key;
+    if (!ELEMENT_ATTRIBUTES.includes(name)) return;
+    // Cells with several paragraphs become one value in the separated form each key accepts
+    const separator = ['facets', 'theme', 'export'].includes(name) ? ', ' : '; ';
+    attributes[name] = asList(value).join(separator);
+  });
+
+  // Legacy format: a single-cell row holding just the query-index path
+  const firstRow = block.querySelector(':scope > div');
+  if (firstRow && firstRow.children.length < 2 && !attributes.src) {
+    const firstRowContent = firstRow.textContent.trim();
+    if (firstRowContent.includes('query-index.json')) attributes.src = firstRowContent;
   }
+
+  attributes.layout = getLayout(block);
+  return attributes;
+}
+
+// The decorate function is called by Franklin/EDS for this block. It hands the
+// authored configuration to <eds-spectrum-card>, which does the rendering.
+export default async function decorate(block) {
+  // eslint-disable-next-line no-console
+  console.debug('[spectrum-card] decorate called', block);
+
+  // Only EDS pages run decorate, and they have loaded aem.js already
+  const { readBlockConfig } = await loadEds();
+  const element = document.createElement('eds-spectrum-card');
+  Object.entries(getElementAttributes(block, readBlockConfig)).forEach(([name, value]) => element.setAttribute(name, value));
+  block.replaceChildren(element);
+  // The instance API stays reachable from the block
+  Object.defineProperty(block, 'spectrumCard', {
+    configurable: true,
+    get: () => element.spectrumCard,
+  });
+  await element.ready;
 }
@@ -0,0 +1,163 @@
+// Content-type card templates for the spectrum-card block. A template adds its
+// own slots and default columns to the field mapping, then decorates the sp-card
+// createCard has built, so templated cards keep the modal, prefetching and theme.
+import '@spectrum-web-components/avatar/sp-avatar.js';
+import '@spectrum-web-components/badge/sp-badge.js';
+import { formatDate, parseDate, t } from './i18n.js';
+
+export const TEMPLATES = {
+  DEFAULT: 'default',
+  PRODUCT: 'product',
+  EVENT: 'event',
+  PERSON: 'person',
+  ARTICLE: 'article',
+};
+
+// Default columns for each template, on top of the card slots in fields.js.
+// Slots that are not card slots (badge, date, avatar...) are only read by the template.
+const TEMPLATE_FIELDS = {
+  [TEMPLATES.PRODUCT]: {
+    footer: 'price | currency',
+    badge: 'badge',
+  },
+  [TEMPLATES.EVENT]: {
+    // The location is shown as the card's subheading
+    subheading: 'location, venue',
+    date: 'startDate, date',
+    endDate: 'endDate',
+  },
+  [TEMPLATES.PERSON]: {
+    // People get an avatar instead of a cover image
+    preview: '',
+    avatar: 'avatar, photo, image',
+    subheading: 'role, jobTitle',
+  },
+  [TEMPLATES.ARTICLE]: {
+    author: 'author',
+    readingTime: 'readingTime',
+    published: 'publishedDate, published, lastModified | date',
+  },
+};
+
+// Template named in the block config; unknown names fall back to the default card
+export function getTemplate(value) {
+  const template = (value || '').trim().toLowerCase();
+  if (Object.values(TEMPLATES).includes(template)) return template;
+  if (template) {
+    // eslint-disable-next-line no-console
+    console.debug('[spectrum-card] unknown card template:', template);
+  }
+  return TEMPLATES.DEFAULT;
+}
+
+export function getTemplateFields(template) {
+  return TEMPLATE_FIELDS[template] || {};
+}
+
+// Overlay pinned to the card's top-right corner; the slide number has the top-left
+function createCornerOverlay(wrapper) {
+  const overlay = document.createElement('div');
+  overlay.className = 'spectrum-card-corner';
+  overlay.style.position = 'absolute';
+  overlay.style.top = '10px';
+  overlay.style.right = '10px';
+  overlay.style.zIndex = '10';
+  wrapper.appendChild(overlay);
+  return overlay;
+}
+
+function decorateProduct({ wrapper, card, fields }) {
+  const price = card.querySelector('.spectrum-card-footer-text');
+  if (price) price.classList.add('spectrum-card-price');
+
+  if (fields.badge) {
+    const badge = document.createElement('sp-badge');
+    badge.setAttribute('size', 's');
+    badge.setAttribute('variant', 'accent');
+    badge.textContent = fields.badge;
+    createCornerOverlay(wrapper).appendChild(badge);
+  }
+}
+
+// Date-only values such as "2025-05-01" last until the end of that day
+function getEventEnd(value) {
+  const end = parseDate(value);
+  if (end && /^\d{4}-\d{2}-\d{2}$/.test(`${value}`.trim())) end.setDate(end.getDate() + 1);
+  return end;
+}
+
+function decorateEvent({ wrapper, card, fields }) {
+  const start = parseDate(fields.date);
+  if (!start) return;
+
+  // Calendar-style date block with the short month over the day of the month
+  const dateBlock = document.createElement('time');
+  dateBlock.className = 'spectrum-card-date';
+  dateBlock.dateTime = start.toISOString();
+  const month = document.createElement('span');
+  month.className = 'spectrum-card-date-month';
+  month.textContent = formatDate(fields.date, { month: 'short' });
+  const day = document.createElement('span');
+  day.className = 'spectrum-card-date-day';
+  day.textContent = formatDate(fields.date, { day: 'numeric' });
+  dateBlock.append(month, day);
+  createCornerOverlay(wrapper).appendChild(dateBlock);
+
+  // An end date that cannot be read falls back to the start
+  const end = getEventEnd(fields.endDate) || getEventEnd(fields.date);
+  const isPast = end < new Date();
+  wrapper.classList.add(isPast ? 'spectrum-card-past' : 'spectrum-card-upcoming');
+
+  const status = document.createElement('sp-badge');
+  status.setAttribute('size', 's');
+  status.setAttribute('variant', isPast ? 'neutral' : 'positive');
+  status.textContent = isPast ? t('past') : t('upcoming');
+  const footer = card.querySelector('[slot="footer"]');
+  footer.style.justifyContent = 'space-between';
+  footer.prepend(status);
+}
+
+function decoratePerson({ card, fields }) {
+  const preview = document.createElement('div');
+  preview.setAttribute('slot', 'preview');
+  preview.className = 'spectrum-card-avatar';
+
+  const avatar = document.createElement('sp-avatar');
+  avatar.setAttribute('size', '700');
+  avatar.setAttribute('label', fields.heading);
+  if (fields.avatar) avatar.setAttribute('src', fields.avatar);
+  preview.appendChild(avatar);
+  card.prepend(preview);
+}
+
+function decorateArticle({ card, fields }) {
+  const minutes = parseFloat(fields.readingTime);
+  const meta = [
+    fields.author && t('byAuthor', { author: fields.author }),
+    // Numbers are minutes; text such as "Long read" is shown as it is
+    Number.isFinite(minutes) ? t('readingTime', { minutes: Math.ceil(minutes) }) : fields.readingTime,
+    fields.published,
+  ].filter(Boolean);
+  if (!meta.length) return;
+
+  const metaLine = document.createElement('p');
+  metaLine.className = 'spectrum-card-meta';
+  metaLine.textContent = meta.join(' · ');
+  card.querySelector('[slot="description"]').prepend(metaLine);
+}
+
+const TEMPLATE_DECORATORS = {
+  [TEMPLATES.PRODUCT]: decorateProduct,
+  [TEMPLATES.EVENT]: decorateEvent,
+  [TEMPLATES.PERSON]: decoratePerson,
+  [TEMPLATES.ARTICLE]: decorateArticle,
+};
+
+// Apply a template to a card createCard has built. wrapper is the card's
+// positioned container, card the sp-card and fields the mapped row.
+export function decorateTemplate(template, parts) {
+  const decorateCard = TEMPLATE_DECORATORS[template];
+  if (!decorateCard) return;
+  parts.wrapper.classList.add(`spectrum-card-template-${template}`);
+  decorateCard(parts);
+}
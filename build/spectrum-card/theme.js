@@ -0,0 +1,72 @@
+// Spectrum theme selection for the spectrum-card block
+import { getMetadata } from './eds.js';
+
+const THEME_COLORS = ['light', 'dark', 'darkest'];
+const THEME_SCALES = ['medium', 'large'];
+
+// Light and medium ship in the main bundle; the others are separate chunks
+// that are only fetched the first time a block asks for them
+const THEME_LOADERS = {
+  dark: () => import('@spectrum-web-components/theme/theme-dark.js'),
+  darkest: () => import('@spectrum-web-components/theme/theme-darkest.js'),
+  large: () => import('@spectrum-web-components/theme/scale-large.js'),
+};
+
+const COLOR_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+// Pick the color and scale out of a value such as "darkest, large"
+export function parseTheme(value) {
+  const parts = (value || '').split(',').map((part) => part.trim().toLowerCase());
+  return {
+    color: parts.find((part) => THEME_COLORS.includes(part)) || '',
+    scale: parts.find((part) => THEME_SCALES.includes(part)) || '',
+  };
+}
+
+const prefersDark = () => Boolean(window.matchMedia && window.matchMedia(COLOR_SCHEME_QUERY).matches);
+
+// Block config wins over the page's theme metadata; without either the color
+// follows prefers-color-scheme and the scale is medium
+export function resolveTheme(blockTheme = {}) {
+  const pageTheme = parseTheme(getMetadata('theme'));
+  const color = blockTheme.color || pageTheme.color;
+  return {
+    color: color || (prefersDark() ? 'dark' : 'light'),
+    scale: blockTheme.scale || pageTheme.scale || 'medium',
+    followsSystem: !color,
+  };
+}
+
+// Load the theme fragments a color/scale pair needs
+export async function loadTheme({ color, scale }) {
+  await Promise.all([color, scale]
+    .filter((name) => THEME_LOADERS[name])
+    .map((name) => THEME_LOADERS[name]()));
+}
+
+// Create an sp-theme wrapper for the given theme. When the color follows the
+// system setting, the wrapper keeps tracking prefers-color-scheme changes until
+// options.signal aborts or, failing that, until it is found disconnected.
+export function createThemeWrapper(theme, options = {}) {
+  const wrapper = document.createElement('sp-theme');
+  wrapper.setAttribute('system', 'spectrum');
+  wrapper.setAttribute('color', theme.color);
+  wrapper.setAttribute('scale', theme.scale);
+
+  if (theme.followsSystem && window.matchMedia) {
+    const query = window.matchMedia(COLOR_SCHEME_QUERY);
+    const handleChange = async (event) => {
+      // Modal and presentation wrappers are thrown away when they close
+      if (!wrapper.isConnected) {
+        query.removeEventListener('change', handleChange);
+        return;
+      }
+      const color = event.matches ? 'dark' : 'light';
+      await loadTheme({ color, scale: theme.scale });
+      wrapper.setAttribute('color', color);
+    };
+    query.addEventListener('change', handleChange, { signal: options.signal });
+  }
+
+  return wrapper;
+}
@@ -1,12 +1,31 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 
+// Resolve /scripts/*.js to the project's scripts/ folder, as an EDS site serves it,
+// so the test page loads aem.js before decorate() runs
+function edsScripts() {
+  return {
+    name: 'eds-scripts',
+    apply: 'serve',
+    resolveId(id) {
+      if (!/^\/scripts\/[\w.-]+\.js$/.test(id)) return null;
+      return fileURLToPath(new URL(`../..${id}`, import.meta.url));
+    }
+  };
+}
+
 export default defineConfig({
   root: '.',
+  plugins: [edsScripts()],
   server: {
     port: 5173,
     strictPort: true,
     open: true,
     host: true,
+    fs: {
+      // Allow serving /scripts/aem.js from the project root during development
+      allow: ['../..']
+    },
     proxy: {
       '/slides': {
         target: 'https://allabout.network',
@@ -29,11 +48,22 @@ export default defineConfig({
     },
     outDir: 'dist',
     rollupOptions: {
-      external: [],
-      output: {
-        globals: {},
-        inlineDynamicImports: true
-      }
+      // Let the lazy chunks import shared code straight from spectrum-card.js
+      // instead of moving it into a separate chunk behind a re-exporting entry
+      preserveEntrySignatures: 'allow-extension',
+      output: [
+        {
+          // The EDS block: optional theme modules are split out and sit next to the main bundle
+          entryFileNames: 'spectrum-card.js',
+          chunkFileNames: 'spectrum-card-[name].js'
+        },
+        {
+          // <eds-spectrum-card> on other sites: one file with the lazy modules inlined,
+          // so nothing else has to be copied beside it
+          entryFileNames: 'spectrum-card.standalone.js',
+          inlineDynamicImports: true
+        }
+      ]
     },
     emptyOutDir: true
   }
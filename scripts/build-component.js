@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-import { mkdirSync, existsSync, copyFileSync } from 'fs';
+import { mkdirSync, existsSync, copyFileSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
@@ -83,6 +83,15 @@ function buildAndCopyToBlocks() {
     throw new Error(`Bundled JS file not found: ${jsSource}`);
   }
   
+  // Copy the lazily loaded chunks (extra theme colors and scales) and the
+  // single-file standalone bundle alongside the block bundle
+  readdirSync(distDir)
+    .filter((file) => file.endsWith('.js') && file !== 'spectrum-card.js')
+    .forEach((file) => {
+      copyFileSync(join(distDir, file), join(blocksDir, file));
+      console.log(`✅ Copied ${file} from dist to blocks directory`);
+    });
+  
   // Copy CSS file from dist to blocks
   const cssSource = join(distDir, 'spectrum-card.css');
   const cssTarget = join(blocksDir, 'spectrum-card.css');
@@ -7,6 +7,7 @@ import {
   decorateSections,
   decorateBlocks,
   decorateTemplateAndTheme,
+  getMetadata,
   waitForFirstImage,
   loadSection,
   loadSections,
@@ -72,7 +73,8 @@ export function decorateMain(main) {
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
-  document.documentElement.lang = 'en';
+  // Localized pages set a language in their metadata; blocks format dates and numbers with it
+  document.documentElement.lang = getMetadata('language') || 'en';
   decorateTemplateAndTheme();
   const main = doc.querySelector('main');
   if (main) {